@@ -0,0 +1,136 @@
+// Local stand-in for the Firebase Realtime Database used by the shared cache.
+// Speaks the REST subset cache.js needs (GET / PUT / DELETE on `<path>.json`,
+// `?shallow=true` reads and the `{".sv": {"increment": n}}` server value) and
+// keeps everything in a JSON file, so the shared-cache flow runs end-to-end
+// without Firebase.
+//
+//   npm run cache-server
+//   open http://localhost:5173/?cache=local
+//
+// Listens on localhost only, and only answers CORS requests from localhost
+// pages, since anything that can reach it can rewrite the cache.
+//
+// Env: CACHE_SERVER_PORT (8787), CACHE_SERVER_FILE (.cache-db.json),
+//      CACHE_SERVER_HOST (127.0.0.1)
+
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync, renameSync } from 'node:fs';
+import { createMemoryBackend, isValidPath } from '../src/storage/memoryBackend.js';
+
+const PORT = Number(process.env.CACHE_SERVER_PORT ?? 8787);
+const HOST = process.env.CACHE_SERVER_HOST ?? '127.0.0.1';
+const FILE = process.env.CACHE_SERVER_FILE ?? '.cache-db.json';
+const SAVE_DELAY_MS = 500;             // writes are coalesced before hitting disk
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const LOCAL_ORIGIN = /^https?:\/\/(?:localhost|127\.0\.0\.1|\[::1\])(?::\d+)?$/;
+
+function load() {
+  try {
+    return JSON.parse(readFileSync(FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[CacheServer] Could not read ${FILE}, starting empty:`, e.message);
+    return {};
+  }
+}
+
+let saveTimer = null;
+const store = createMemoryBackend({
+  data: load(),
+  onChange() {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+  },
+});
+
+function save() {
+  saveTimer = null;
+  // Write-then-rename so a crash mid-write never leaves a truncated file
+  writeFileSync(`${FILE}.tmp`, JSON.stringify(store.snapshot(), null, 2));
+  renameSync(`${FILE}.tmp`, FILE);
+}
+
+// Flush a pending save on Ctrl+C
+process.on('SIGINT', () => {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    save();
+  }
+  process.exit(0);
+});
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function reply(req, res, status, value) {
+  const origin = req.headers.origin;
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    ...(origin && LOCAL_ORIGIN.test(origin) ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' } : {}),
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(value === undefined ? '' : JSON.stringify(value));
+}
+
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') return reply(req, res, 204);
+
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const match = decodeURIComponent(pathname).match(/^\/cache(\/.*)?\.json$/);
+  if (!match) return reply(req, res, 404, { error: 'Not found' });
+  const path = match[1] ?? '';
+  if (!isValidPath(path)) return reply(req, res, 400, { error: 'Invalid path' });
+
+  if (req.method === 'GET') {
+    const value = await store.get(path);
+    if (searchParams.get('shallow') === 'true' && value && typeof value === 'object') {
+      return reply(req, res, 200, Object.fromEntries(Object.keys(value).map(k => [k, true])));
+    }
+    return reply(req, res, 200, value);
+  }
+  if (req.method === 'DELETE') {
+    await store.delete(path);
+    return reply(req, res, 200, null);
+  }
+  if (req.method === 'PUT') {
+    let value;
+    try {
+      value = JSON.parse(await readBody(req));
+    } catch (e) {
+      return reply(req, res, 400, { error: e.message });
+    }
+    const increment = value?.['.sv']?.increment;
+    if (typeof increment === 'number') {
+      await store.increment(path, increment);
+      return reply(req, res, 200, await store.get(path));
+    }
+    await store.put(path, value);
+    return reply(req, res, 200, value);
+  }
+  return reply(req, res, 405, { error: 'Method not allowed' });
+}
+
+const server = createServer((req, res) => {
+  handle(req, res).catch((e) => {
+    console.error('[CacheServer]', e);
+    reply(req, res, 500, { error: e.message });
+  });
+});
+server.listen(PORT, HOST, () => {
+  console.log(`[CacheServer] http://${HOST}:${server.address().port} → ${FILE}`);
+});
@@ -0,0 +1,30 @@
+// Vite plugin: serves the sandbox worker (src/sandboxWorker.js) with its own
+// Content-Security-Policy. A worker loaded from a URL gets the policy of its
+// script response, not the page's, so this is what keeps generated code off
+// the network even if it gets past the validator: connect-src blocks
+// fetch / XHR / WebSocket / EventSource and script-src keeps import() to our
+// own modules. 'unsafe-eval' is for the new Function() that runs the code.
+// Covers the dev and preview servers; production hosting has to send the
+// same header for assets/sandboxWorker-*.js.
+
+export const SANDBOX_WORKER_CSP = "default-src 'none'; script-src 'self' 'unsafe-eval'; connect-src 'none'";
+
+// Dev: /src/sandboxWorker.js?worker_file&type=module, build: /assets/sandboxWorker-<hash>.js
+const WORKER_PATH = /\/sandboxWorker(?:-[\w-]+)?\.js(?:\?|$)/;
+
+function addPolicy(req, res, next) {
+  if (WORKER_PATH.test(req.url)) res.setHeader('Content-Security-Policy', SANDBOX_WORKER_CSP);
+  next();
+}
+
+export function sandboxWorkerCsp() {
+  return {
+    name: 'sandbox-worker-csp',
+    configureServer(server) {
+      server.middlewares.use(addPolicy);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(addPolicy);
+    },
+  };
+}
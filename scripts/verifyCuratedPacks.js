@@ -0,0 +1,42 @@
+// Vite plugin: checks curated packs (src/curatedPacks/*.json) the way
+// readBundle() checks an imported bundle — every entry's code must match its
+// sha256 hash — and fails on the first pack that doesn't. The hash sits next
+// to the code, so this only catches corruption and hand edits that forgot to
+// re-export, not tampering; curatedCache.js runs every entry through the
+// validator before it can spawn. Runs on `vite build` and when the dev server
+// starts.
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { readBundle } from '../src/bundle.js';
+
+const PACKS_DIR = 'src/curatedPacks';
+
+export function verifyCuratedPacks() {
+  return {
+    name: 'verify-curated-packs',
+    async buildStart() {
+      let files;
+      try {
+        files = readdirSync(PACKS_DIR).filter(f => f.endsWith('.json'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return; // No packs
+        throw e;
+      }
+
+      for (const file of files) {
+        const path = join(PACKS_DIR, file);
+        this.addWatchFile(path);
+        let result;
+        try {
+          result = await readBundle(readFileSync(path, 'utf8'));
+        } catch (e) {
+          this.error(`${path}: ${e.message}`);
+        }
+        if (result.rejected.length > 0) {
+          this.error(`${path}: code doesn't match its hash for ${result.rejected.join(', ')}`);
+        }
+      }
+    },
+  };
+}
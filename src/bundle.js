@@ -0,0 +1,96 @@
+/**
+ * Object bundles — cached object libraries as a single JSON file.
+ *
+ * dev.html exports the merged entry set (curated + shared + local) as a
+ * bundle and imports bundles back into the local cache. Bundles dropped into
+ * src/curatedPacks/ are merged into CURATED_OBJECTS at build time (see
+ * curatedCache.js), which is how good generations get promoted.
+ *
+ *   {
+ *     "format": "revenge-for-dino/object-bundle",
+ *     "version": 1,
+ *     "exportedAt": "2026-01-01T00:00:00.000Z",
+ *     "entries": {
+ *       "<key>": { "hash": "sha256:<hex of code>", "origin": "curated" | "shared" | "local",
+ *                  "code": "...", "manifest": { ... } | null, "stats": { ... } | null }
+ *     }
+ *   }
+ */
+
+export const BUNDLE_FORMAT = 'revenge-for-dino/object-bundle';
+export const BUNDLE_VERSION = 1;
+
+const ORIGINS = ['curated', 'shared', 'local'];
+const STAT_FIELDS = ['usedFallback', 'createdAt', 'spawns', 'damage', 'errors', 'up', 'down'];
+
+/**
+ * SHA-256 of an entry's code, as stored in bundles.
+ * @param {string} code
+ * @returns {Promise<string>} - "sha256:<hex>"
+ */
+export async function hashCode(code) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(code));
+  const hex = [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex}`;
+}
+
+/**
+ * Whether `data` looks like a bundle this version can read.
+ */
+export function isBundle(data) {
+  return data?.format === BUNDLE_FORMAT &&
+    Number.isInteger(data.version) && data.version <= BUNDLE_VERSION &&
+    !!data.entries && typeof data.entries === 'object';
+}
+
+/**
+ * Build a bundle from merged entries.
+ * @param {Object<string, {code: string, manifest?: object|null, origin?: string, variant?: object}>} entries
+ *   `variant` (a cache.js CacheVariant) contributes its play stats
+ * @returns {Promise<object>}
+ */
+export async function createBundle(entries) {
+  const out = {};
+  for (const key of Object.keys(entries).sort()) {
+    const { code, manifest = null, origin = 'local', variant = null } = entries[key];
+    out[key] = {
+      hash: await hashCode(code),
+      origin: ORIGINS.includes(origin) ? origin : 'local',
+      code,
+      manifest,
+      stats: variant ? Object.fromEntries(STAT_FIELDS.map(f => [f, variant[f]])) : null,
+    };
+  }
+  return { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), entries: out };
+}
+
+/**
+ * Parse and verify a bundle. Entries without code, or whose code doesn't
+ * match their hash (edited or truncated), are rejected.
+ * @param {string|object} input - File text or parsed JSON
+ * @returns {Promise<{entries: Object<string, {code: string, manifest: object|null}>, rejected: string[]}>}
+ * @throws {Error} If the input isn't a readable bundle
+ */
+export async function readBundle(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new Error(`Not a JSON file: ${e.message}`);
+    }
+  }
+  if (data?.format !== BUNDLE_FORMAT) throw new Error('Not an object bundle');
+  if (!isBundle(data)) throw new Error(`Unsupported bundle version ${data.version} (this build reads up to ${BUNDLE_VERSION})`);
+
+  const entries = {};
+  const rejected = [];
+  for (const [key, entry] of Object.entries(data.entries)) {
+    if (typeof entry?.code !== 'string' || entry.hash !== await hashCode(entry.code)) {
+      rejected.push(key);
+      continue;
+    }
+    entries[key] = { code: entry.code, manifest: entry.manifest ?? null };
+  }
+  return { entries, rejected };
+}
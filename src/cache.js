@@ -1,77 +1,631 @@
-// Persistent cache: Curated (L0) + Firebase Realtime DB (L1)
+// Persistent cache: Curated (L0) + localStorage (L1) + shared backend (L2)
 // Keys are pre-normalized by Gemini (see gemini.js normalizePrompt).
+// Writes go through to both L1 and L2; L2 hits are copied into L1 so
+// repeat prompts load instantly and keep working offline.
+// L2 is Firebase in production; see storage/backend.js for the local dev
+// server and in-memory alternatives.
+//
+// Each shared key holds several candidate generations ("variants") with
+// play stats, so one bad generation can't permanently poison a popular key:
+//   /cache/{key} = { variants: { <id>: { code, manifest, usedFallback, createdAt,
+//                                        spawns, damage, errors, up, down } } }
+// Older nodes are a bare code string or { code, manifest } and read as a
+// single variant without stats until the key gets a new generation.
+//
+// Lookups are counted in /cache/_requests/{key} (normalized keys never start
+// with "_"); the most requested keys are prefetched into L1 during the intro.
+//
+// Code that crashes at spawn, or keeps killing its updater, is quarantined
+// (`quarantine: { reason, at }` on the variant): it is never served again,
+// the key falls through to fresh generation, and dev.html lists it for review.
+// Each session reports a variant at most once, so `errors` counts distinct
+// reports and one bad session can't quarantine an entry on its own.
 
 import { CURATED_OBJECTS } from './curatedCache.js';
+import { readEntry } from './manifest.js';
+import { getBackend } from './storage/backend.js';
+import { findKeyMatch } from './keyMatch.js';
+import { recordDamage, recordFailure, recordLookup, recordSpawn } from './cacheStats.js';
+import { isAllowedKey } from './moderation.js';
 
 // Firebase keys cannot contain . $ # [ ] /
 function encodeFirebaseKey(key) {
   return key.replace(/[.$#\[\]/]/g, '_');
 }
 
-// Kept for dev.js compatibility (no longer used for caching)
+// localStorage key prefix for L1 entries (dev.js lists them too)
 export const LS_PREFIX_EXPORT = 'objcache:';
 
-export async function fetchAllFirebase() {
-  const firebaseUrl = import.meta.env.VITE_FIREBASE_DB_URL || '';
-  if (!firebaseUrl) return {};
+// --- L1 limits ---
+const LOCAL_VERSION = 1;                 // bump to drop every L1 entry (prompt / code format changes)
+const LOCAL_MAX_ENTRIES = 100;
+const LOCAL_MAX_CHARS = 2_000_000;       // total serialized size across entries (~4 MB as UTF-16)
+const LOCAL_MAX_ENTRY_CHARS = 64_000;    // single entries larger than this are not stored locally
+
+// --- Variant selection ---
+const MAX_VARIANTS = 5;          // worst variant is dropped when a new one would exceed this
+const MIN_VARIANT_SCORE = -2;    // best variant below this counts as a miss → regenerate
+const VOTE_WEIGHT = 2;           // per net player vote
+const ERROR_PENALTY = 1.5;       // per reported failure; one alone keeps a fresh variant above MIN_VARIANT_SCORE
+const FALLBACK_PENALTY = 0.5;    // generated by the fallback model
+const DAMAGE_WEIGHT = 0.5;       // × log(1 + average eye damage per spawn)
+const STATS_FLUSH_MS = 5000;     // damage is batched before being sent
+const QUARANTINE_FATAL_ERRORS = 2;   // distinct reports (all players) before a spawn crash quarantines
+const QUARANTINE_UPDATER_ERRORS = 3; // ... and before updater deaths do
+
+// Shared key index for fuzzy matching (one shallow read, refreshed this often)
+const SHARED_KEYS_TTL_MS = 5 * 60 * 1000;
+
+// --- Popularity ---
+const REQUESTS_NODE = '_requests';  // key → lookup count; not an object entry
+const PREFETCH_COUNT = 10;          // most requested keys pulled into L1 on startup
+
+// Shared top-level keys that hold bookkeeping rather than an object
+function isReservedKey(key) {
+  return key.startsWith('_');
+}
+
+/**
+ * localStorage tier with LRU eviction. Each entry is stored as
+ * { v: LOCAL_VERSION, t: lastUsed, code, manifest, variantId }; entries with
+ * another version stamp are discarded when seen.
+ */
+function createLocalTier() {
+  let storage = null;
   try {
-    const res = await fetch(`${firebaseUrl}/cache.json`);
-    if (!res.ok) return {};
-    const data = await res.json();
-    return data && typeof data === 'object' ? data : {};
-  } catch {
+    storage = window.localStorage;
+  } catch { /* Storage disabled (privacy mode) — tier is a no-op */ }
+
+  function lsKey(key) {
+    return LS_PREFIX_EXPORT + key;
+  }
+
+  function parse(raw) {
+    try {
+      const data = JSON.parse(raw);
+      return data?.v === LOCAL_VERSION && typeof data.code === 'string' ? data : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Every valid L1 entry as { name, t, size }; stale ones are removed on the way
+  function scan() {
+    const found = [];
+    for (let i = storage.length - 1; i >= 0; i--) {
+      const name = storage.key(i);
+      if (!name?.startsWith(LS_PREFIX_EXPORT)) continue;
+      const raw = storage.getItem(name);
+      const data = parse(raw);
+      if (!data) {
+        storage.removeItem(name);
+        continue;
+      }
+      found.push({ name, t: data.t || 0, size: raw.length });
+    }
+    return found;
+  }
+
+  // Drop least recently used entries until `incoming` more chars fit
+  function evict(incoming) {
+    const entries = scan().sort((a, b) => a.t - b.t);
+    let total = entries.reduce((sum, e) => sum + e.size, 0) + incoming;
+    let count = entries.length + 1;
+    for (const e of entries) {
+      if (count <= LOCAL_MAX_ENTRIES && total <= LOCAL_MAX_CHARS) break;
+      storage.removeItem(e.name);
+      total -= e.size;
+      count--;
+    }
+  }
+
+  function write(key, data) {
+    const raw = JSON.stringify(data);
+    if (raw.length > LOCAL_MAX_ENTRY_CHARS) return;
+    storage.removeItem(lsKey(key)); // Replaced entries don't count against the budget
+    evict(raw.length);
+    try {
+      storage.setItem(lsKey(key), raw);
+    } catch {
+      // Quota hit despite our budget (other data on the origin) — free half and retry once
+      const entries = scan().sort((a, b) => a.t - b.t);
+      for (const e of entries.slice(0, Math.ceil(entries.length / 2))) storage.removeItem(e.name);
+      try { storage.setItem(lsKey(key), raw); } catch { /* Give up; L2 still has it */ }
+    }
+  }
+
+  return {
+    /** @returns {{code: string, manifest: object|null, variantId: string|null}|null} */
+    get(key) {
+      if (!storage) return null;
+      const raw = storage.getItem(lsKey(key));
+      if (raw == null) return null;
+      const data = parse(raw);
+      if (!data) {
+        storage.removeItem(lsKey(key));
+        return null;
+      }
+      // Touch for LRU
+      data.t = Date.now();
+      try { storage.setItem(lsKey(key), JSON.stringify(data)); } catch { /* Read still succeeds */ }
+      return { ...readEntry(data), variantId: data.variantId ?? null };
+    },
+
+    set(key, entry) {
+      if (!storage) return;
+      write(key, {
+        v: LOCAL_VERSION, t: Date.now(), code: entry.code, manifest: entry.manifest ?? null,
+        variantId: entry.variantId ?? null,
+      });
+    },
+
+    remove(key) {
+      storage?.removeItem(lsKey(key));
+    },
+
+    has(key) {
+      return !!storage && storage.getItem(lsKey(key)) != null;
+    },
+
+    keys() {
+      if (!storage) return [];
+      const keys = [];
+      for (let i = 0; i < storage.length; i++) {
+        const name = storage.key(i);
+        if (name?.startsWith(LS_PREFIX_EXPORT)) keys.push(name.slice(LS_PREFIX_EXPORT.length));
+      }
+      return keys;
+    },
+  };
+}
+
+/**
+ * Write an entry straight into the local tier (dev.html bundle import).
+ * @param {string} key
+ * @param {{code: string, manifest?: object|null}} entry
+ */
+export function storeLocal(key, entry) {
+  createLocalTier().set(key, entry);
+}
+
+// ---------------------------------------------------------------------------
+// Variants
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} CacheVariant
+ * @property {string|null} id - null for older single-entry nodes (no stats recorded)
+ * @property {string} code
+ * @property {object|null} manifest
+ * @property {boolean} usedFallback
+ * @property {number} createdAt
+ * @property {number} spawns
+ * @property {number} damage - Total eye damage dealt by its bodies
+ * @property {number} errors
+ * @property {number} up
+ * @property {number} down
+ * @property {{reason: string, at: number}|null} quarantine - Set once the code is known to crash
+ */
+
+/**
+ * Tag identifying which variant spawned something; stats are recorded against it.
+ * `variantId` is null for older single-entry nodes and L1 entries saved before variants.
+ * @typedef {{key: string, variantId: string|null}} VariantSource
+ */
+
+function newVariantId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function count(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * All usable variants of a raw shared node.
+ * @returns {CacheVariant[]}
+ */
+export function readVariants(value) {
+  if (value && typeof value === 'object' && value.variants && typeof value.variants === 'object') {
+    const variants = [];
+    for (const [id, v] of Object.entries(value.variants)) {
+      const entry = readEntry(v);
+      if (!entry) continue; // Stats written for a variant that was never stored
+      variants.push({
+        id,
+        ...entry,
+        usedFallback: !!v.usedFallback,
+        createdAt: count(v.createdAt),
+        spawns: count(v.spawns),
+        damage: count(v.damage),
+        errors: count(v.errors),
+        up: count(v.up),
+        down: count(v.down),
+        quarantine: v.quarantine && typeof v.quarantine === 'object' ? v.quarantine : null,
+      });
+    }
+    return variants;
+  }
+  const entry = readEntry(value);
+  if (!entry) return [];
+  return [{
+    id: null, ...entry, usedFallback: false, createdAt: 0, spawns: 0, damage: 0, errors: 0, up: 0, down: 0, quarantine: null,
+  }];
+}
+
+/** Higher is better; a fresh variant without stats scores ~0. */
+export function scoreVariant(v) {
+  return VOTE_WEIGHT * (v.up - v.down) -
+    ERROR_PENALTY * v.errors -
+    (v.usedFallback ? FALLBACK_PENALTY : 0) +
+    DAMAGE_WEIGHT * Math.log1p(v.damage / Math.max(1, v.spawns));
+}
+
+/**
+ * Best-scoring variant that isn't quarantined (newest wins ties), or null.
+ * @param {CacheVariant[]} variants
+ */
+export function pickVariant(variants) {
+  let best = null;
+  for (const v of variants) {
+    if (v.quarantine) continue;
+    if (!best) { best = v; continue; }
+    const diff = scoreVariant(v) - scoreVariant(best);
+    if (diff > 0 || (diff === 0 && v.createdAt > best.createdAt)) best = v;
+  }
+  return best;
+}
+
+/**
+ * Every raw node in the shared backend (key → node), or {} if unreachable.
+ * @param {import('./storage/backend.js').CacheBackend} [backend]
+ */
+export async function fetchAllShared(backend = getBackend()) {
+  try {
+    const nodes = await backend.list();
+    for (const key of Object.keys(nodes)) {
+      if (isReservedKey(key)) delete nodes[key];
+    }
+    return nodes;
+  } catch (e) {
+    console.warn('[Cache] Listing shared entries failed:', e.message);
     return {};
   }
 }
 
-export function createCache() {
-  const firebaseUrl = import.meta.env.VITE_FIREBASE_DB_URL || '';
+/**
+ * @param {object} [opts]
+ * @param {import('./storage/backend.js').CacheBackend} [opts.backend] - L2 store; defaults to getBackend()
+ */
+export function createCache(opts = {}) {
+  const backend = opts.backend ?? getBackend();
+  const local = createLocalTier();
+
+  const pendingDamage = new Map(); // sourceId → { source, amount }
+  let flushTimer = null;
+  // Entries served or stored this session (sourceId → known error count).
+  // Failures of anything else — e.g. a generation still being repaired — are ignored.
+  const served = new Map();
+  const reported = new Set(); // sourceIds that failed this session — reported once, not served again
+  let sharedKeyIndex = null; // { keys: Promise<string[]>, at }
+
+  function sourceId(source) {
+    return `${source.key}\u0000${source.variantId ?? ''}`;
+  }
+
+  function nodePath(key, path = '') {
+    return `${encodeFirebaseKey(key)}${path}`;
+  }
 
-  async function getFirebase(key) {
-    if (!firebaseUrl) return null;
+  async function fetchNode(key) {
     try {
-      const fbKey = encodeFirebaseKey(key);
-      const res = await fetch(`${firebaseUrl}/cache/${fbKey}.json`);
-      if (!res.ok) return null;
-      const data = await res.json();
-      return typeof data === 'string' ? data : null;
+      return await backend.get(nodePath(key));
     } catch {
       return null;
     }
   }
 
-  function setFirebase(key, code) {
-    if (!firebaseUrl) return;
-    const fbKey = encodeFirebaseKey(key);
-    // Fire-and-forget
-    fetch(`${firebaseUrl}/cache/${fbKey}.json`, {
-      method: 'PUT',
-      body: JSON.stringify(code),
-      headers: { 'Content-Type': 'application/json' },
-    }).catch(() => {});
+  async function getShared(key) {
+    const variants = readVariants(await fetchNode(key)).filter(v => !reported.has(sourceId({ key, variantId: v.id })));
+    const best = pickVariant(variants);
+    if (!best) return null;
+    if (scoreVariant(best) < MIN_VARIANT_SCORE) {
+      console.log('[Cache] Best variant for', key, 'scores too low, regenerating');
+      return null;
+    }
+    return { code: best.code, manifest: best.manifest, variantId: best.id, errors: best.errors };
+  }
+
+  // Add a variant next to the existing ones, dropping the worst when full
+  async function addSharedVariant(key, id, variant) {
+    try {
+      const node = await fetchNode(key);
+      const existing = readVariants(node);
+
+      if (node != null && !node.variants) {
+        // Older single-entry node: rewrite it as a variant map with both entries
+        const [legacy] = existing;
+        const variants = { [id]: variant };
+        if (legacy) {
+          variants[newVariantId()] = { code: legacy.code, manifest: legacy.manifest, usedFallback: false, createdAt: 0 };
+        }
+        await backend.put(nodePath(key), { variants });
+        return;
+      }
+
+      if (existing.length >= MAX_VARIANTS) {
+        const worst = existing.reduce((a, b) => (scoreVariant(b) < scoreVariant(a) ? b : a));
+        await backend.delete(nodePath(key, `/variants/${worst.id}`));
+      }
+      await backend.put(nodePath(key, `/variants/${id}`), variant);
+    } catch { /* Offline — L1 still has it */ }
+  }
+
+  async function quarantineShared(source, quarantine) {
+    try {
+      if (source.variantId) {
+        await backend.put(nodePath(source.key, `/variants/${source.variantId}/quarantine`), quarantine);
+        return;
+      }
+      await rewriteLegacy(source, { quarantine });
+    } catch { /* Offline — dropped from L1 at least */ }
+  }
+
+  // Older single-entry node: rewrite it as a variant map holding its code
+  // with one error recorded (it has no stats to increment otherwise)
+  async function rewriteLegacy(source, extra = {}) {
+    const node = await fetchNode(source.key);
+    if (node == null || node.variants) return;
+    const [legacy] = readVariants(node);
+    if (!legacy) return;
+    await backend.put(nodePath(source.key), {
+      variants: {
+        [newVariantId()]: { code: legacy.code, manifest: legacy.manifest, createdAt: 0, errors: 1, ...extra },
+      },
+    });
+  }
+
+  function increment(source, field, amount = 1) {
+    if (!source?.variantId) return;
+    backend.increment(nodePath(source.key, `/variants/${source.variantId}/${field}`), amount).catch(() => {});
+  }
+
+  function flushDamage() {
+    flushTimer = null;
+    for (const { source, amount } of pendingDamage.values()) increment(source, 'damage', amount);
+    pendingDamage.clear();
+  }
+
+  // A player flagged or crashed on this variant: stop serving it from L1
+  function dropLocal(source) {
+    const stored = local.get(source.key);
+    if (stored?.variantId === source.variantId) local.remove(source.key);
+  }
+
+  function sharedKeys() {
+    if (!sharedKeyIndex || Date.now() - sharedKeyIndex.at > SHARED_KEYS_TTL_MS) {
+      const keys = backend.keys().then(all => all.filter(k => !isReservedKey(k)), () => []);
+      sharedKeyIndex = { keys, at: Date.now() };
+    }
+    return sharedKeyIndex.keys;
+  }
+
+  /** Every key some tier holds (the shared index may be a few minutes old) */
+  async function knownKeys() {
+    return [...Object.keys(CURATED_OBJECTS), ...local.keys(), ...await sharedKeys()];
+  }
+
+  /**
+   * Map a normalized key onto the closest key any tier already holds
+   * ("cannonball" → "cannon ball", "missles" → "missile"); see keyMatch.js.
+   * Unmatched keys come back unchanged.
+   */
+  async function resolveKey(key) {
+    if (CURATED_OBJECTS[key] || local.has(key)) return key;
+    const match = findKeyMatch(key, await knownKeys());
+    if (!match) return key;
+    if (match !== key) console.log('[Cache] Near match:', key, '→', match);
+    return match;
+  }
+
+  /**
+   * Look up a key (or its closest known match) with its manifest. `key` in the
+   * result is the key that matched. Curated entries get a source without a
+   * variantId (credited in cacheStats.js only; never rated or quarantined).
+   * Every lookup is recorded in cacheStats.js with the tier that answered it.
+   * @returns {Promise<{key: string, code: string, manifest: object|null, source: VariantSource|null}|null>}
+   */
+  async function getEntry(requestedKey) {
+    const key = await resolveKey(requestedKey);
+
+    // L0: Curated (highest priority)
+    if (CURATED_OBJECTS[key]) {
+      console.log('[Cache hit] Curated:', key);
+      recordLookup(key, 'curated');
+      return { key, code: CURATED_OBJECTS[key], manifest: null, source: { key, variantId: null } };
+    }
+
+    // Misses count too: a key generated once may be popular next time
+    if (isAllowedKey(key)) {
+      backend.increment(`${REQUESTS_NODE}/${encodeFirebaseKey(key)}`, 1).catch(() => {});
+    }
+
+    // L1: localStorage
+    const stored = local.get(key);
+    if (stored) {
+      console.log('[Cache hit] Local:', key);
+      recordLookup(key, 'local');
+      return withSource(key, stored);
+    }
+
+    // L2: shared backend, best variant (copied into L1 for next time)
+    const remote = await getShared(key);
+    if (remote) {
+      console.log(`[Cache hit] Shared (${backend.name}):`, key);
+      recordLookup(key, 'shared');
+      local.set(key, remote);
+      return withSource(key, remote);
+    }
+
+    console.log('[Cache miss]', key);
+    recordLookup(key, 'miss');
+    return null;
+  }
+
+  function withSource(key, { code, manifest, variantId, errors = 0 }) {
+    const source = { key, variantId: variantId ?? null };
+    served.set(sourceId(source), errors);
+    return { key, code, manifest, source };
+  }
+
+  /**
+   * Tag for a generation that is about to be spawned and stored with set(),
+   * so its bodies can be credited before the write lands.
+   * @returns {VariantSource}
+   */
+  function newSource(key) {
+    return { key, variantId: newVariantId() };
+  }
+
+  /**
+   * Copy the most requested shared keys into L1 (skipping curated and
+   * already-local ones) so their first search doesn't wait on the network.
+   * Fetches one key at a time to stay out of the way of the page loading.
+   * @param {number} [limit]
+   * @returns {Promise<number>} Entries prefetched
+   */
+  async function prefetchPopular(limit = PREFETCH_COUNT) {
+    let counts;
+    try {
+      counts = await backend.get(REQUESTS_NODE);
+    } catch (e) {
+      console.warn('[Cache] Prefetch skipped:', e.message);
+      return 0;
+    }
+    if (!counts || typeof counts !== 'object') return 0;
+
+    const popular = Object.keys(counts)
+      .filter(key => !CURATED_OBJECTS[key] && !local.has(key))
+      .sort((a, b) => count(counts[b]) - count(counts[a]))
+      .slice(0, limit);
+
+    let fetched = 0;
+    for (const key of popular) {
+      const remote = await getShared(key);
+      if (!remote || local.has(key)) continue; // Searched for meanwhile
+      local.set(key, remote);
+      fetched++;
+    }
+    if (fetched > 0) console.log(`[Cache] Prefetched ${fetched} popular entries`);
+    return fetched;
   }
 
   return {
+    getEntry,
+    knownKeys,
+    resolveKey,
+    prefetchPopular,
+
     async get(key) {
-      // L0: Curated (highest priority)
-      if (CURATED_OBJECTS[key]) {
-        console.log('[Cache hit] Curated:', key);
-        return CURATED_OBJECTS[key];
-      }
+      return (await getEntry(key))?.code ?? null;
+    },
 
-      // L1: Firebase
-      const remote = await getFirebase(key);
-      if (remote) {
-        console.log('[Cache hit] Firebase:', key);
-        return remote;
+    newSource,
+
+    /**
+     * Store a new variant for `key` (existing variants are kept). Keys refused
+     * by moderation.js are never persisted, locally or shared.
+     * @param {string} key
+     * @param {string} code
+     * @param {object|null} [manifest] - Stored alongside the code (see manifest.js)
+     * @param {object} [opts]
+     * @param {boolean} [opts.usedFallback] - Generated by the fallback model
+     * @param {VariantSource} [opts.source] - From newSource(); a fresh id is used otherwise
+     * @returns {VariantSource}
+     */
+    set(key, code, manifest = null, opts = {}) {
+      const source = opts.source ?? newSource(key);
+      if (!isAllowedKey(key)) {
+        console.warn('[Moderation] Not caching key:', key);
+        return source;
       }
+      served.set(sourceId(source), 0);
+      local.set(key, { code, manifest, variantId: source.variantId });
+      // Fire-and-forget
+      addSharedVariant(key, source.variantId, {
+        code,
+        manifest,
+        usedFallback: !!opts.usedFallback,
+        createdAt: Date.now(),
+        spawns: 0,
+        damage: 0,
+        errors: 0,
+        up: 0,
+        down: 0,
+      });
+      return source;
+    },
 
-      console.log('[Cache miss]', key);
-      return null;
+    /** A variant was spawned (denominator for average damage). */
+    recordSpawn(source) {
+      if (source) recordSpawn(source.key);
+      increment(source, 'spawns');
+    },
+
+    /** Eye damage dealt by one of the entry's bodies: per-key stats (cacheStats.js) right away, variant stats batched. */
+    recordDamage(source, amount) {
+      if (!source || !(amount > 0)) return;
+      recordDamage(source.key, amount);
+      if (!source.variantId) return;
+      const id = sourceId(source);
+      const pending = pendingDamage.get(id);
+      if (pending) pending.amount += amount;
+      else pendingDamage.set(id, { source, amount });
+      if (!flushTimer) flushTimer = setTimeout(flushDamage, STATS_FLUSH_MS);
+    },
+
+    /**
+     * Cached code failed (reported by the executor, or rejected by validation).
+     * Counted once per session; the variant is quarantined once the distinct
+     * reports reach QUARANTINE_FATAL_ERRORS for fatal failures (it threw at
+     * spawn or didn't validate) or QUARANTINE_UPDATER_ERRORS for updater deaths.
+     * @param {VariantSource} source
+     * @param {string} reason - Error message, kept with the quarantine for review
+     * @param {object} [opts]
+     * @param {boolean} [opts.fatal=true]
+     */
+    reportFailure(source, reason, opts = {}) {
+      if (!source) return;
+      const id = sourceId(source);
+      if (!served.has(id) || reported.has(id)) return;
+
+      const errors = served.get(id) + 1;
+      served.set(id, errors);
+      reported.add(id);
+      recordFailure(source.key);
+      increment(source, 'errors');
+      dropLocal(source);
+
+      const threshold = (opts.fatal ?? true) ? QUARANTINE_FATAL_ERRORS : QUARANTINE_UPDATER_ERRORS;
+      if (errors >= threshold) {
+        console.warn('[Cache] Quarantined', source.key, '—', reason);
+        quarantineShared(source, { reason: String(reason).slice(0, 300), at: Date.now() });
+      } else if (!source.variantId) {
+        rewriteLegacy(source).catch(() => { /* Offline */ });
+      }
     },
 
-    set(key, code) {
-      setFirebase(key, code);
+    /**
+     * Player rating. A down vote also drops the variant from L1 so the next
+     * search re-picks from the shared backend (or regenerates).
+     * @param {VariantSource} source
+     * @param {1|-1} dir
+     */
+    vote(source, dir) {
+      if (!source?.variantId) return;
+      increment(source, dir > 0 ? 'up' : 'down');
+      if (dir < 0) dropLocal(source);
     },
   };
 }
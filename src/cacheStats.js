@@ -0,0 +1,119 @@
+// Per-key cache analytics: lookups by tier, generation latency, failures,
+// spawns and eye damage. Collected while playing and kept in localStorage
+// (same origin as dev.html, which shows them) to help pick objects to curate.
+// Nothing is sent anywhere.
+
+const STORAGE_KEY = 'cacheStats';
+const STATS_VERSION = 1;      // bump to discard stats recorded in an older shape
+const SAVE_DELAY_MS = 2000;   // writes are batched; flushed on pagehide too
+
+/** Where a lookup was answered */
+export const LOOKUP_TIERS = ['curated', 'local', 'shared', 'miss'];
+
+let rows = null; // key → raw row, loaded on first use
+let saveTimer = null;
+
+function storage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null; // Storage disabled (privacy mode) — stats last for this page only
+  }
+}
+
+function load() {
+  if (rows) return rows;
+  rows = {};
+  try {
+    const saved = JSON.parse(storage()?.getItem(STORAGE_KEY) ?? 'null');
+    if (saved?.v === STATS_VERSION && saved.rows && typeof saved.rows === 'object') rows = saved.rows;
+  } catch { /* Corrupt — start over */ }
+  return rows;
+}
+
+function save() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (!rows) return;
+  try {
+    storage()?.setItem(STORAGE_KEY, JSON.stringify({ v: STATS_VERSION, rows }));
+  } catch (e) {
+    console.warn('[Stats] Could not save cache stats:', e.message);
+  }
+}
+
+if (typeof window !== 'undefined') window.addEventListener('pagehide', save);
+
+function row(key) {
+  const all = load();
+  if (!all[key]) {
+    all[key] = {
+      requests: 0,
+      tiers: Object.fromEntries(LOOKUP_TIERS.map(t => [t, 0])),
+      generations: 0,
+      latencyMs: 0,
+      failures: 0,
+      spawns: 0,
+      damage: 0,
+    };
+  }
+  if (!saveTimer) saveTimer = setTimeout(save, SAVE_DELAY_MS);
+  return all[key];
+}
+
+/** A cache lookup for `key` was answered by `tier` (one of LOOKUP_TIERS). */
+export function recordLookup(key, tier) {
+  const r = row(key);
+  r.requests++;
+  r.tiers[tier] = (r.tiers[tier] ?? 0) + 1;
+}
+
+/** A fresh generation for `key` came back after `ms`. */
+export function recordGeneration(key, ms) {
+  const r = row(key);
+  r.generations++;
+  r.latencyMs += ms;
+}
+
+/** Generation failed, or the code for `key` crashed / was rejected. */
+export function recordFailure(key) {
+  row(key).failures++;
+}
+
+export function recordSpawn(key) {
+  row(key).spawns++;
+}
+
+export function recordDamage(key, amount) {
+  row(key).damage += amount;
+}
+
+/**
+ * One summary per key, most requested first.
+ * @returns {{key: string, requests: number, tiers: Record<string, number>, generations: number,
+ *   avgLatencyMs: number|null, failures: number, failureRate: number|null, spawns: number,
+ *   damagePerSpawn: number|null}[]}
+ */
+export function readCacheStats() {
+  // Reload: the game may have written from another tab since
+  if (saveTimer) save();
+  rows = null;
+  return Object.entries(load())
+    .map(([key, r]) => ({
+      key,
+      requests: r.requests,
+      tiers: r.tiers,
+      generations: r.generations,
+      avgLatencyMs: r.generations > 0 ? r.latencyMs / r.generations : null,
+      failures: r.failures,
+      failureRate: r.requests > 0 ? r.failures / r.requests : null,
+      spawns: r.spawns,
+      damagePerSpawn: r.spawns > 0 ? r.damage / r.spawns : null,
+    }))
+    .sort((a, b) => b.requests - a.requests || a.key.localeCompare(b.key));
+}
+
+export function clearCacheStats() {
+  rows = {};
+  save();
+}
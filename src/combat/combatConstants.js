@@ -23,3 +23,82 @@ export const SUCTION_GROWTH = 200;           // additional pull per meter of rad
 
 // Auto-detach
 export const DETACH_FORCE_THRESHOLD = 15;     // force at which static page elements break free
+
+// Phases — entered when remaining health (fraction of max) drops to `health`;
+// the Crash never goes back to an earlier phase. Timers are in seconds.
+//   eyeArc      — [min, max] angles the eye roams (0 = right, -PI/2 = up); a 2·PI span wraps
+//   eyeSpeed    — radians/sec
+//   reposition  — null, or { interval, speed (m/s) } to glide to a new spot on screen
+//   shield      — null, or { interval, duration } during which the eye takes no damage
+//   suctionBurst — null, or { interval, duration, multiplier } on suction strength
+//   attack      — { interval, kind: 'orb' | 'shards', shots, spread (radians across the fan) }
+export const CRASH_PHASES = [
+  {
+    name: 'dormant',
+    health: 1,
+    eyeArc: [-Math.PI / 2, 0],            // top-right quadrant
+    eyeSpeed: EYE_ROAM_SPEED,
+    reposition: null,
+    shield: null,
+    suctionBurst: null,
+    attack: { interval: 7, kind: 'orb', shots: 1, spread: 0 },
+  },
+  {
+    name: 'restless',
+    health: 0.66,
+    eyeArc: [-Math.PI, 0],                // whole top half
+    eyeSpeed: 0.45,
+    reposition: { interval: 9, speed: 6 },
+    shield: null,
+    suctionBurst: { interval: 10, duration: 1.5, multiplier: 2.5 },
+    attack: { interval: 5, kind: 'shards', shots: 3, spread: 0.3 },
+  },
+  {
+    name: 'frenzied',
+    health: 0.33,
+    eyeArc: [-Math.PI, Math.PI],          // all the way around
+    eyeSpeed: 0.6,
+    reposition: { interval: 6, speed: 10 },
+    shield: { interval: 8, duration: 2.5 },
+    suctionBurst: { interval: 7, duration: 2, multiplier: 3.5 },
+    attack: { interval: 3, kind: 'shards', shots: 5, spread: 0.5 },
+  },
+];
+export const PHASE_TRANSITION_TIME = 1.2;     // seconds — shake + renderer pulse on entering a phase
+export const REPOSITION_MARGIN = 0.15;        // fraction of screen kept clear at the edges
+export const REPOSITION_GEMINI_CLEARANCE = 30; // meters — never glide to a spot this close to Gemini
+
+// Attacks — corrupted orbs / glitch shards fired from the eye (cadence per phase above)
+export const ATTACK_FIRST_DELAY = 4;           // seconds after entering before the first shot
+export const PROJECTILE_SPEED = { orb: 20, shards: 32 };   // m/s
+export const PROJECTILE_RADIUS = { orb: 1.4, shards: 0.7 }; // meters — hit radius
+export const PROJECTILE_LIFETIME = 6;          // seconds before a miss fizzles out
+export const PROJECTILE_DESTROY_MASS = 3;      // objects this light are destroyed; heavier ones are corrupted
+export const PROJECTILE_KNOCKBACK = 15;        // m/s — velocity kick along the shot on whatever is hit
+export const GEMINI_CORRUPT_TIME = 1.5;        // seconds Gemini ignores the cursor after a hit
+export const ATTACK_TARGET_WEIGHTS = { object: 0.6, dino: 0.15, gemini: 0.25 };
+
+// Minions — objects the void swallows may come back out corrupted and hunt Gemini / the dino
+export const MINION_CHANCE = 0.3;              // chance a consumed object is re-emitted instead
+export const MINION_MAX = 3;                   // at most this many at once; extras are just consumed
+export const MINION_MIN_MASS = 1;              // anything lighter is always consumed
+export const MINION_EMIT_SPEED = 18;           // m/s — launch speed out of the void, toward the target
+export const MINION_CHASE_SPEED = 10;          // m/s — minions without an updater of their own float toward the target…
+export const MINION_STEER = 1.5;               // …closing this fraction of the velocity gap per second
+export const MINION_HEALTH = 60;               // impact momentum (kg·m/s) it takes to break one
+export const MINION_MIN_IMPACT = 5;            // impacts below this momentum don't count
+export const MINION_HIT_COOLDOWN = 1.5;        // seconds between one minion's hits on Gemini
+export const MINION_GEMINI_SHOVE = 12;         // m/s — a hit pushes Gemini toward the void
+export const MINION_TARGET_WEIGHTS = { gemini: 0.6, dino: 0.4 };
+
+// Eye damage — base is momentum * EYE_MOMENTUM_SCALE, then (see eyeDamage.js):
+export const DAMAGE_MIN = 0.1;                 // hits below this don't count
+export const IMPACT_ANGLE_MIN_FACTOR = 0.35;   // a grazing hit still deals this fraction; head-on deals all
+export const CRIT_PUPIL_FRAC = 0.25;           // flight line passing this close to the center (× eye radius) is a crit — the drawn pupil
+export const CRIT_MULTIPLIER = 2;
+export const BULLET_DAMAGE_BONUS = 1.5;        // registered bodies created with bullet: true
+export const EXPLOSIVE_DAMAGE_BONUS = 2;       // bodies tagged setUserData({ explosive: true })
+export const REPEAT_HIT_WINDOW = 1.5;          // seconds — the same body hitting again within this…
+export const REPEAT_HIT_FALLOFF = 0.5;         // …deals this much of its previous hit's multiplier
+export const DAMAGE_NUMBER_TIME = 1;           // seconds a floating damage number stays up
+export const EXPLOSION_DAMAGE_SCALE = 0.005;   // explode() power is an impulse like momentum, at half rate — a blast can't miss
@@ -476,12 +476,17 @@ export function createCombatHUD(canvas, gameState, geminiIcon, intro, searchBar,
       speech = `WE DID IT! The Crash is destroyed!\n\n`;
       speech += `Time: ${timeStr}\n`;
       speech += `Objects Created: ${stats.objectsCreated}\n`;
-      speech += `Objects Lost: ${stats.objectsConsumed}\n`;
+      speech += `Objects Lost: ${stats.objectsConsumed + stats.objectsDestroyedByCrash}\n`;
+      speech += `Objects Corrupted: ${stats.objectsCorrupted}\n`;
+      if (stats.minionsCreated > 0) speech += `Turned Against Us: ${stats.minionsCreated}\n`;
       speech += `Damage Dealt: ${Math.floor(stats.totalDamageDealt)}`;
+      if (stats.criticalHits > 0) speech += ` (${stats.criticalHits} critical)`;
     } else {
       speech = `The Crash consumed everything...\n\n`;
       speech += `Objects Created: ${stats.objectsCreated}\n`;
-      speech += `Objects Lost: ${stats.objectsConsumed}\n`;
+      speech += `Objects Lost: ${stats.objectsConsumed + stats.objectsDestroyedByCrash}\n`;
+      speech += `Objects Corrupted: ${stats.objectsCorrupted}\n`;
+      if (stats.minionsCreated > 0) speech += `Turned Against Us: ${stats.minionsCreated}\n`;
       speech += `We'll get it next time!`;
     }
 
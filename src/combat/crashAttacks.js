@@ -0,0 +1,232 @@
+import planck from 'planck';
+import { COLORS } from '../constants.js';
+import { getObjects } from '../objects.js';
+import {
+  ATTACK_FIRST_DELAY,
+  PROJECTILE_SPEED,
+  PROJECTILE_RADIUS,
+  PROJECTILE_LIFETIME,
+  PROJECTILE_DESTROY_MASS,
+  PROJECTILE_KNOCKBACK,
+  GEMINI_CORRUPT_TIME,
+  ATTACK_TARGET_WEIGHTS,
+} from './combatConstants.js';
+
+const GEMINI_HIT_RADIUS = 3;   // meters — Gemini's icon is a sensor, so it is hit-tested by distance
+const HIT_EFFECT_TIME = 0.4;   // seconds a hit burst stays on screen
+
+/**
+ * The Crash's ranged attack. Every few seconds (cadence and pattern come from
+ * the current phase's `attack`) the eye fires a corrupted orb or a fan of
+ * glitch shards at a player-spawned object, the dino or Gemini.
+ *
+ * Projectiles aren't physics bodies: they fly straight and hit-test with
+ * world.queryAABB, so suction and contact listeners never see them.
+ * - Objects: light ones are destroyed; heavy ones are corrupted (recolored,
+ *   their updater stops — objects run in the sandbox worker keep going)
+ * - Dino: knocked back
+ * - Gemini: corrupted — stops following the cursor for GEMINI_CORRUPT_TIME
+ * Every shot and hit is tracked in gameState stats.
+ *
+ * @param {object} ctx
+ * @param {() => {x: number, y: number}} ctx.getOrigin - Where shots leave (the eye)
+ * @param {() => object} ctx.getPhase - Current CRASH_PHASES entry
+ * @param {(body: object) => void} ctx.consume - Destroy a body the way the void does
+ * @param {object} [ctx.geminiIcon]
+ */
+export function createCrashAttacks(world, gameState, W, H, ctx) {
+  const projectiles = []; // { x, y, vx, vy, kind, age }
+  const hits = [];        // { x, y, age } — short bursts for the renderer
+  let attackTimer = ATTACK_FIRST_DELAY;
+
+  // --- Targeting ---
+  function isTargetableObject(obj) {
+    if (!obj.spawned || obj.ephemeral) return false;
+    const ud = obj.body.getUserData();
+    return !ud?.isConsumed && !ud?.isCorrupted && !ud?.isMinion && obj.body.getType() === 'dynamic';
+  }
+
+  // Weighted pick between the kinds of target that exist right now
+  function pickTarget() {
+    const candidates = [];
+    const objects = getObjects();
+    const spawned = objects.filter(isTargetableObject);
+    if (spawned.length > 0) {
+      const obj = spawned[Math.floor(Math.random() * spawned.length)];
+      candidates.push({ weight: ATTACK_TARGET_WEIGHTS.object, pos: obj.body.getWorldCenter() });
+    }
+    const dino = objects.find(o => o.type === 'dino');
+    if (dino) {
+      candidates.push({ weight: ATTACK_TARGET_WEIGHTS.dino, pos: dino.body.getWorldCenter() });
+    }
+    if (ctx.geminiIcon?.isVisible()) {
+      candidates.push({ weight: ATTACK_TARGET_WEIGHTS.gemini, pos: ctx.geminiIcon.body.getPosition() });
+    }
+    if (candidates.length === 0) return null;
+
+    let roll = Math.random() * candidates.reduce((sum, c) => sum + c.weight, 0);
+    for (const c of candidates) {
+      roll -= c.weight;
+      if (roll <= 0) return { x: c.pos.x, y: c.pos.y };
+    }
+    const last = candidates[candidates.length - 1].pos;
+    return { x: last.x, y: last.y };
+  }
+
+  function fire(attack) {
+    const target = pickTarget();
+    if (!target) return;
+    const origin = ctx.getOrigin();
+    const aim = Math.atan2(target.y - origin.y, target.x - origin.x);
+    const speed = PROJECTILE_SPEED[attack.kind];
+
+    for (let i = 0; i < attack.shots; i++) {
+      // Spread the fan evenly around the aim line
+      const offset = attack.shots > 1 ? (i / (attack.shots - 1) - 0.5) * attack.spread : 0;
+      const angle = aim + offset;
+      projectiles.push({
+        x: origin.x,
+        y: origin.y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        kind: attack.kind,
+        age: 0,
+      });
+    }
+    gameState.trackProjectileFired(attack.shots);
+  }
+
+  // --- Hits ---
+  function kick(body, p) {
+    const speed = Math.hypot(p.vx, p.vy);
+    const vel = body.getLinearVelocity();
+    body.setLinearVelocity(new planck.Vec2(
+      vel.x + (p.vx / speed) * PROJECTILE_KNOCKBACK,
+      vel.y + (p.vy / speed) * PROJECTILE_KNOCKBACK,
+    ));
+    body.setAwake(true);
+  }
+
+  function corruptObject(obj) {
+    const ud = obj.body.getUserData() || {};
+    ud.isCorrupted = true; // executor stops its updater
+    obj.body.setUserData(ud);
+    obj.corrupted = true;
+    if (obj.color) obj.color = COLORS.crashGlitch;
+  }
+
+  function hitGemini(p) {
+    const gemini = ctx.geminiIcon;
+    kick(gemini.body, p);
+    gemini.corrupt(GEMINI_CORRUPT_TIME);
+    gameState.trackProjectileHit('gemini', 'corrupted');
+  }
+
+  function hitBody(body, p) {
+    const obj = getObjects().find(o => o.body === body);
+    if (obj?.type === 'dino') {
+      kick(body, p);
+      gameState.trackProjectileHit('dino', 'knocked');
+      return;
+    }
+    if (body.getMass() <= PROJECTILE_DESTROY_MASS) {
+      ctx.consume(body);
+      gameState.trackProjectileHit('object', 'destroyed');
+      return;
+    }
+    kick(body, p);
+    if (obj) corruptObject(obj);
+    gameState.trackProjectileHit('object', 'corrupted');
+  }
+
+  // Only what the player spawned and the dino get hit — not page UI knocked
+  // loose, Crash parts, the cursor, Gemini, particles or minions
+  function isHittable(body, ud, objectsByBody) {
+    if (ud?.isCrash || ud?.isCursor || ud?.isGeminiIcon || ud?.isEphemeral || ud?.isConsumed || ud?.isMinion) return false;
+    const obj = objectsByBody.get(body);
+    return obj?.type === 'dino' || !!obj?.spawned || !!ud?.cacheSource;
+  }
+
+  // First hittable dynamic body overlapping the projectile
+  function findBodyHit(p) {
+    const r = PROJECTILE_RADIUS[p.kind];
+    const box = new planck.AABB(new planck.Vec2(p.x - r, p.y - r), new planck.Vec2(p.x + r, p.y + r));
+    const objectsByBody = new Map(getObjects().map(o => [o.body, o]));
+    let found = null;
+    world.queryAABB(box, (fixture) => {
+      const body = fixture.getBody();
+      if (body.getType() !== 'dynamic') return true;
+      if (!isHittable(body, body.getUserData(), objectsByBody)) return true;
+      if (!planck.AABB.testOverlap(box, fixture.getAABB(0))) return true;
+      found = body;
+      return false; // stop the query
+    });
+    return found;
+  }
+
+  function geminiHit(p) {
+    const gemini = ctx.geminiIcon;
+    if (!gemini?.isVisible()) return false;
+    const pos = gemini.body.getPosition();
+    return Math.hypot(pos.x - p.x, pos.y - p.y) < GEMINI_HIT_RADIUS + PROJECTILE_RADIUS[p.kind];
+  }
+
+  // --- Update ---
+  function update(dt) {
+    const { attack } = ctx.getPhase();
+    if (attack) {
+      attackTimer -= dt;
+      if (attackTimer <= 0) {
+        attackTimer = attack.interval;
+        fire(attack);
+      }
+    }
+
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const p = projectiles[i];
+      p.age += dt;
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+
+      const outOfBounds = p.x < -10 || p.x > W + 10 || p.y < -10 || p.y > H + 10;
+      if (outOfBounds || p.age > PROJECTILE_LIFETIME) {
+        projectiles.splice(i, 1);
+        continue;
+      }
+
+      let hit = false;
+      if (geminiHit(p)) {
+        hitGemini(p);
+        hit = true;
+      } else {
+        const body = findBodyHit(p);
+        if (body) {
+          hitBody(body, p);
+          hit = true;
+        }
+      }
+      if (hit) {
+        hits.push({ x: p.x, y: p.y, age: 0 });
+        projectiles.splice(i, 1);
+      }
+    }
+
+    for (let i = hits.length - 1; i >= 0; i--) {
+      hits[i].age += dt;
+      if (hits[i].age > HIT_EFFECT_TIME) hits.splice(i, 1);
+    }
+  }
+
+  function clear() {
+    projectiles.length = 0;
+    hits.length = 0;
+  }
+
+  return {
+    update,
+    clear,
+    getProjectiles() { return projectiles; },
+    /** Recent hits; `t` runs 1 → 0 */
+    getHits() { return hits.map(h => ({ x: h.x, y: h.y, t: 1 - h.age / HIT_EFFECT_TIME })); },
+  };
+}
@@ -0,0 +1,322 @@
+import planck from 'planck';
+import { COLORS } from '../constants.js';
+import { getObjects, unregisterObject } from '../objects.js';
+import {
+  GEMINI_CORRUPT_TIME,
+  MINION_CHANCE,
+  MINION_MAX,
+  MINION_MIN_MASS,
+  MINION_EMIT_SPEED,
+  MINION_CHASE_SPEED,
+  MINION_STEER,
+  MINION_HEALTH,
+  MINION_MIN_IMPACT,
+  MINION_HIT_COOLDOWN,
+  MINION_GEMINI_SHOVE,
+  MINION_TARGET_WEIGHTS,
+} from './combatConstants.js';
+
+const GEMINI_HIT_RADIUS = 3;   // meters — Gemini's icon is a sensor, so it is hit-tested by distance
+const EMIT_EFFECT_TIME = 0.5;  // seconds an emission burst stays on screen
+
+/**
+ * Corruption: instead of destroying what it swallows, the void sometimes
+ * spits it back out as a minion — recolored, launched at Gemini or the dino,
+ * and with its updater's getTarget() pointed at that target (objects without
+ * one float after it instead). Minions aren't pulled by suction and don't
+ * hurt the eye.
+ * - Gemini: a hit corrupts it and shoves it toward the void
+ * - Dino: knocked back on contact
+ * The player gets rid of one by smashing it (MINION_HEALTH of impact
+ * momentum) or knocking it out of bounds.
+ *
+ * Sandboxed objects are mirrored from the worker every frame, so they are
+ * always consumed.
+ *
+ * @param {object} ctx
+ * @param {() => {x: number, y: number}} ctx.getCenter - Void center
+ * @param {object} [ctx.geminiIcon]
+ * @param {object} [ctx.executor] - For redirecting updaters (executor.redirectTarget)
+ */
+export function createCrashMinions(world, gameState, ctx) {
+  const pending = [];   // swallowed this step, re-emitted on the next update
+  const minions = [];   // { bodies, objs, target, health, cooldown, steer, broken }
+  const emits = [];     // { x, y, age } — bursts at the void's edge for the renderer
+  const byBody = new Map();
+
+  // --- Targets ---
+  function findDino() {
+    return getObjects().find(o => o.type === 'dino') ?? null;
+  }
+
+  function geminiAvailable() {
+    return !!ctx.geminiIcon?.isVisible();
+  }
+
+  function pickTarget() {
+    const hasDino = !!findDino();
+    const hasGemini = geminiAvailable();
+    if (hasDino && hasGemini) {
+      const total = MINION_TARGET_WEIGHTS.gemini + MINION_TARGET_WEIGHTS.dino;
+      return Math.random() * total < MINION_TARGET_WEIGHTS.gemini ? 'gemini' : 'dino';
+    }
+    return hasGemini ? 'gemini' : 'dino';
+  }
+
+  // Where `target` is right now, falling back to the other one
+  function targetPosition(target) {
+    const dino = findDino();
+    if (target === 'gemini' && geminiAvailable()) return ctx.geminiIcon.body.getPosition();
+    if (dino) return dino.body.getWorldCenter();
+    if (geminiAvailable()) return ctx.geminiIcon.body.getPosition();
+    return null;
+  }
+
+  // --- Corruption ---
+  // The body plus everything jointed to it; null if any part is anchored
+  function collectGroup(body) {
+    const group = [body];
+    for (let i = 0; i < group.length; i++) {
+      for (let je = group[i].getJointList(); je; je = je.next) {
+        const other = je.other;
+        if (group.includes(other)) continue;
+        if (other.getType() === 'static') return null;
+        const ud = other.getUserData();
+        if (ud?.isCrash || ud?.isCursor || ud?.isGeminiIcon) return null;
+        group.push(other);
+      }
+    }
+    return group;
+  }
+
+  /**
+   * Called when the void touches `body` (inside the contact callback).
+   * @returns {boolean} true if it will be re-emitted — don't consume it
+   */
+  function tryCorrupt(body) {
+    if (minions.length + pending.length >= MINION_MAX) return false;
+    if (Math.random() >= MINION_CHANCE) return false;
+
+    const ud = body.getUserData();
+    if (ud?.isSandboxed || ud?.isMinion || ud?.isConsumed) return false;
+    const obj = getObjects().find(o => o.body === body);
+    if (!obj?.spawned || obj.ephemeral) return false;
+
+    const bodies = collectGroup(body);
+    if (!bodies) return false;
+    if (bodies.reduce((sum, b) => sum + b.getMass(), 0) < MINION_MIN_MASS) return false;
+
+    for (const b of bodies) b.setUserData({ ...b.getUserData(), isMinion: true });
+    pending.push(bodies);
+    return true;
+  }
+
+  // Bodies can't be moved inside a contact callback, so emission waits for update()
+  function emit(bodies) {
+    const objs = getObjects().filter(o => bodies.includes(o.body));
+    const target = pickTarget();
+    const targetPos = targetPosition(target);
+    const center = ctx.getCenter();
+
+    // Group centroid and extent
+    let gx = 0;
+    let gy = 0;
+    for (const b of bodies) {
+      const p = b.getPosition();
+      gx += p.x / bodies.length;
+      gy += p.y / bodies.length;
+    }
+    let extent = 0;
+    for (const b of bodies) {
+      for (let f = b.getFixtureList(); f; f = f.getNext()) {
+        const box = f.getAABB(0);
+        extent = Math.max(extent, Math.hypot(box.upperBound.x - gx, box.upperBound.y - gy), Math.hypot(box.lowerBound.x - gx, box.lowerBound.y - gy));
+      }
+    }
+
+    const aim = targetPos ? Math.atan2(targetPos.y - center.y, targetPos.x - center.x) : -Math.PI / 2;
+    const dist = gameState.visualRadius + extent + 1;
+    const ex = center.x + Math.cos(aim) * dist;
+    const ey = center.y + Math.sin(aim) * dist;
+    const vx = Math.cos(aim) * MINION_EMIT_SPEED;
+    const vy = Math.sin(aim) * MINION_EMIT_SPEED;
+
+    for (const b of bodies) {
+      const p = b.getPosition();
+      b.setTransform(new planck.Vec2(p.x - gx + ex, p.y - gy + ey), b.getAngle());
+      b.setLinearVelocity(new planck.Vec2(vx, vy));
+      b.setAngularVelocity(0);
+      b.setAwake(true);
+    }
+    for (const obj of objs) {
+      obj.color = COLORS.crashGlitch;
+      obj.minion = true; // renderer outlines it in COLORS.crashEdge
+    }
+
+    const m = { bodies, objs, target, health: MINION_HEALTH, cooldown: 0, steer: false, broken: false };
+    const provider = () => (gameState.isActive() ? targetPosition(m.target) : null);
+    const redirected = bodies.some(b => ctx.executor?.redirectTarget(b, provider));
+    if (!redirected) {
+      // No code of its own to chase with — float after the target instead
+      m.steer = true;
+      for (const b of bodies) b.setGravityScale(0);
+    }
+
+    minions.push(m);
+    for (const b of bodies) byBody.set(b, m);
+    emits.push({ x: ex, y: ey, age: 0 });
+    gameState.trackMinionCreated();
+    console.log(`[Crash] Object corrupted into a minion → ${target}`);
+  }
+
+  // --- Hits ---
+  function kick(body, dirX, dirY, speed) {
+    const len = Math.hypot(dirX, dirY) || 1;
+    const vel = body.getLinearVelocity();
+    body.setLinearVelocity(new planck.Vec2(vel.x + (dirX / len) * speed, vel.y + (dirY / len) * speed));
+    body.setAwake(true);
+  }
+
+  function hitGemini(m) {
+    const gemini = ctx.geminiIcon;
+    const pos = gemini.body.getPosition();
+    const center = ctx.getCenter();
+    kick(gemini.body, center.x - pos.x, center.y - pos.y, MINION_GEMINI_SHOVE);
+    gemini.corrupt(GEMINI_CORRUPT_TIME);
+    m.cooldown = MINION_HIT_COOLDOWN;
+    gameState.trackMinionHit('gemini');
+  }
+
+  function touchesGemini(m) {
+    if (!geminiAvailable()) return false;
+    const pos = ctx.geminiIcon.body.getPosition();
+    const box = new planck.AABB(
+      new planck.Vec2(pos.x - GEMINI_HIT_RADIUS, pos.y - GEMINI_HIT_RADIUS),
+      new planck.Vec2(pos.x + GEMINI_HIT_RADIUS, pos.y + GEMINI_HIT_RADIUS),
+    );
+    return m.bodies.some(b => {
+      for (let f = b.getFixtureList(); f; f = f.getNext()) {
+        if (planck.AABB.testOverlap(box, f.getAABB(0))) return true;
+      }
+      return false;
+    });
+  }
+
+  // Player objects (and the cursor) smashing into a minion wear it down; minions knock the dino back
+  world.on('begin-contact', (contact) => {
+    if (!gameState.isActive() || minions.length === 0) return;
+    const bodyA = contact.getFixtureA().getBody();
+    const bodyB = contact.getFixtureB().getBody();
+    handleMinionContact(byBody.get(bodyA), bodyA, bodyB);
+    handleMinionContact(byBody.get(bodyB), bodyB, bodyA);
+  });
+
+  function handleMinionContact(m, minionBody, otherBody) {
+    if (!m || m.broken) return;
+    const ud = otherBody.getUserData();
+    if (ud?.isCrash || ud?.isMinion || ud?.isGeminiIcon) return;
+    if (otherBody.getType() === 'static') return;
+
+    const va = minionBody.getLinearVelocity();
+    const vb = otherBody.getLinearVelocity();
+    const relX = va.x - vb.x;
+    const relY = va.y - vb.y;
+
+    if (getObjects().find(o => o.body === otherBody)?.type === 'dino') {
+      if (m.cooldown > 0) return;
+      kick(otherBody, relX, relY, MINION_GEMINI_SHOVE);
+      m.cooldown = MINION_HIT_COOLDOWN;
+      gameState.trackMinionHit('dino');
+      return;
+    }
+
+    const impact = Math.hypot(relX, relY) * Math.min(otherBody.getMass(), minionBody.getMass());
+    if (impact < MINION_MIN_IMPACT) return;
+    m.health -= impact;
+    if (m.health <= 0) m.broken = true;
+  }
+
+  // --- Removal ---
+  function release(m) {
+    const i = minions.indexOf(m);
+    if (i !== -1) minions.splice(i, 1);
+    for (const b of m.bodies) byBody.delete(b);
+  }
+
+  // Broken (or partly knocked out) minions take the rest of their group with them
+  function destroyMinion(m) {
+    release(m);
+    for (const obj of m.objs) unregisterObject(obj);
+    for (const b of m.bodies) {
+      try { world.destroyBody(b); } catch (e) { /* Already destroyed */ }
+    }
+  }
+
+  function isOutOfPlay(m) {
+    const objects = getObjects();
+    return m.objs.some(o => !objects.includes(o)) || m.bodies.some(b => !b.getWorld());
+  }
+
+  // --- Update ---
+  function update(dt) {
+    while (pending.length > 0) {
+      const bodies = pending.shift();
+      if (bodies.every(b => b.getWorld())) emit(bodies);
+    }
+
+    for (let i = minions.length - 1; i >= 0; i--) {
+      const m = minions[i];
+      if (m.broken || isOutOfPlay(m)) {
+        destroyMinion(m);
+        gameState.trackMinionDefeated();
+        continue;
+      }
+
+      m.cooldown = Math.max(0, m.cooldown - dt);
+      if (m.cooldown === 0 && m.target === 'gemini' && touchesGemini(m)) hitGemini(m);
+
+      if (m.steer) {
+        const targetPos = targetPosition(m.target);
+        if (!targetPos) continue;
+        const k = Math.min(1, dt * MINION_STEER);
+        for (const b of m.bodies) {
+          const p = b.getWorldCenter();
+          const dx = targetPos.x - p.x;
+          const dy = targetPos.y - p.y;
+          const dist = Math.hypot(dx, dy) || 1;
+          const vel = b.getLinearVelocity();
+          b.setLinearVelocity(new planck.Vec2(
+            vel.x + ((dx / dist) * MINION_CHASE_SPEED - vel.x) * k,
+            vel.y + ((dy / dist) * MINION_CHASE_SPEED - vel.y) * k,
+          ));
+        }
+      }
+    }
+
+    for (let i = emits.length - 1; i >= 0; i--) {
+      emits[i].age += dt;
+      if (emits[i].age > EMIT_EFFECT_TIME) emits.splice(i, 1);
+    }
+  }
+
+  // Minions (and objects swallowed but not yet re-emitted) leave with The Crash
+  function clear() {
+    for (const m of [...minions]) destroyMinion(m);
+    for (const bodies of pending) {
+      destroyMinion({ bodies, objs: getObjects().filter(o => bodies.includes(o.body)) });
+    }
+    pending.length = 0;
+    minions.length = 0;
+    emits.length = 0;
+    byBody.clear();
+  }
+
+  return {
+    tryCorrupt,
+    update,
+    clear,
+    getCount() { return minions.length; },
+    /** Recent emissions; `t` runs 1 → 0 */
+    getEmits() { return emits.map(e => ({ x: e.x, y: e.y, t: 1 - e.age / EMIT_EFFECT_TIME })); },
+  };
+}
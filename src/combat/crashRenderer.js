@@ -1,9 +1,15 @@
 import { SCALE, COLORS, DEBUG } from '../constants.js';
-import {
-  CRASH_INITIAL_RADIUS,
-  SUCTION_STRENGTH,
-  SUCTION_GROWTH,
-} from './combatConstants.js';
+import { CRASH_INITIAL_RADIUS, PROJECTILE_RADIUS } from './combatConstants.js';
+
+// Per-phase look (see CRASH_PHASES): edge color, how many glitch lines
+// crawl the edge, and how hard the outline wobbles
+const PHASE_VISUALS = {
+  dormant: { edge: COLORS.crashEdge, glitchLines: 5, distortion: 1 },
+  restless: { edge: '#ff7a00', glitchLines: 9, distortion: 1.6 },
+  frenzied: { edge: '#ff00ff', glitchLines: 14, distortion: 2.4 },
+};
+const SHIELD_COLOR = '80, 200, 255';     // rgb, eye shield bubble
+const BURST_STREAKS = 24;                // inward streaks drawn during a suction burst
 
 // Error text fragments that float inside the void
 const ERROR_TEXTS = [
@@ -185,8 +191,17 @@ export function createCrashRenderer(canvas, crash, gameState, world) {
     //   drawScreenCorruption(pr);
     // }
 
+    const phase = crash.getPhase();
+    const look = PHASE_VISUALS[phase.name] ?? PHASE_VISUALS.dormant;
+
+    // --- Suction burst streaks (behind the void) ---
+    const burst = crash.getSuctionBurst();
+    if (burst > 0) {
+      drawSuctionBurst(px, py, pr, burst, look);
+    }
+
     // --- Void visual (dark circle with glitch edge) ---
-    drawVoidBody(px, py, pr);
+    drawVoidBody(px, py, pr, look);
 
     // --- Static noise inside void ---
     drawStaticNoise(px, py, pr);
@@ -197,18 +212,38 @@ export function createCrashRenderer(canvas, crash, gameState, world) {
     // --- Eye visual ---
     drawEye(eyePx, eyePy, eyePr);
 
+    // --- Eye shield ---
+    const shield = crash.getShield();
+    if (shield.active) {
+      drawShield(eyePx, eyePy, eyePr, shield.flash);
+    }
+
+    // --- Projectiles and their hits ---
+    drawProjectiles();
+
+    // --- Minions spat back out of the void ---
+    drawMinionEmits();
+
+    // --- Phase change pulse ---
+    if (phase.transition > 0) {
+      drawPhaseTransition(px, py, pr, phase.transition, look);
+    }
+
     // --- Damage flash ---
     if (gameState.damageFlash > 0) {
       drawDamageFlash(px, py, pr, eyePx, eyePy, eyePr);
     }
 
+    // --- Floating damage numbers ---
+    drawDamageNumbers();
+
     // --- Debug: suction lines to every affected body ---
     if (DEBUG && world) {
       drawSuctionLines(px, py, center);
     }
   }
 
-  function drawVoidBody(px, py, pr) {
+  function drawVoidBody(px, py, pr, look) {
     ctx.save();
 
     // Radial gradient: opaque black center → semi-transparent edge
@@ -227,10 +262,10 @@ export function createCrashRenderer(canvas, crash, gameState, world) {
     for (let i = 0; i <= segments; i++) {
       const angle = (i / segments) * Math.PI * 2;
       // Layered sine distortion for organic edge
-      const distort = 1
-        + 0.04 * Math.sin(angle * 7 + time * 3)
+      const distort = 1 + look.distortion * (
+        0.04 * Math.sin(angle * 7 + time * 3)
         + 0.03 * Math.sin(angle * 13 - time * 5)
-        + 0.02 * Math.sin(angle * 23 + time * 8);
+        + 0.02 * Math.sin(angle * 23 + time * 8));
       const r = pr * distort;
       const x = px + Math.cos(angle) * r;
       const y = py + Math.sin(angle) * r;
@@ -241,8 +276,8 @@ export function createCrashRenderer(canvas, crash, gameState, world) {
     ctx.fillStyle = grad;
     ctx.fill();
 
-    // Glitchy red edge glow
-    ctx.strokeStyle = COLORS.crashEdge;
+    // Glitchy edge glow (red, hotter in later phases)
+    ctx.strokeStyle = look.edge;
     ctx.lineWidth = 2;
     ctx.globalAlpha = 0.4 + 0.15 * Math.sin(time * 6);
     ctx.stroke();
@@ -252,7 +287,7 @@ export function createCrashRenderer(canvas, crash, gameState, world) {
     ctx.strokeStyle = COLORS.crashGlitch;
     ctx.lineWidth = 1;
     ctx.globalAlpha = 0.2;
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < look.glitchLines; i++) {
       const a1 = seededRandom() * Math.PI * 2;
       const a2 = a1 + 0.2 + seededRandom() * 0.5;
       ctx.beginPath();
@@ -387,6 +422,181 @@ export function createCrashRenderer(canvas, crash, gameState, world) {
     ctx.restore();
   }
 
+  // Hexagonal bubble around the eye while it's immune; flares when hit
+  function drawShield(ex, ey, er, flash) {
+    const time = Date.now() * 0.001;
+    const sr = er * 1.45;
+
+    ctx.save();
+    ctx.beginPath();
+    for (let i = 0; i <= 6; i++) {
+      const a = (i / 6) * Math.PI * 2 + time * 0.8;
+      const x = ex + Math.cos(a) * sr;
+      const y = ey + Math.sin(a) * sr;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+    ctx.fillStyle = `rgba(${SHIELD_COLOR}, ${0.12 + flash * 0.25})`;
+    ctx.fill();
+    ctx.strokeStyle = `rgba(${SHIELD_COLOR}, ${0.6 + 0.2 * Math.sin(time * 10) + flash * 0.2})`;
+    ctx.lineWidth = 2 + flash * 3;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Streaks rushing into the void during a suction burst (t: 1 → 0 over the burst)
+  function drawSuctionBurst(px, py, pr, t, look) {
+    const time = Date.now() * 0.001;
+    const fade = Math.min(1, t * 4, (1 - t) * 8); // quick fade in and out
+
+    ctx.save();
+    ctx.strokeStyle = look.edge;
+    ctx.lineCap = 'round';
+    for (let i = 0; i < BURST_STREAKS; i++) {
+      const angle = (i / BURST_STREAKS) * Math.PI * 2 + time * 0.6;
+      // Each streak travels from 2.2× the radius down to the edge, staggered
+      const travel = (time * 1.8 + i * 0.37) % 1;
+      const outer = pr * (2.2 - travel * 1.2);
+      const inner = outer - pr * 0.25;
+      ctx.globalAlpha = fade * 0.5 * travel;
+      ctx.lineWidth = 1 + travel * 2;
+      ctx.beginPath();
+      ctx.moveTo(px + Math.cos(angle) * outer, py + Math.sin(angle) * outer);
+      ctx.lineTo(px + Math.cos(angle) * inner, py + Math.sin(angle) * inner);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Corrupted orbs (dark core, glitching rim, trail) and glitch shards (streaks)
+  function drawProjectiles() {
+    const projectiles = crash.getProjectiles();
+    const hits = crash.getProjectileHits();
+    if (projectiles.length === 0 && hits.length === 0) return;
+
+    ctx.save();
+    ctx.lineCap = 'round';
+    for (const p of projectiles) {
+      const x = p.x * SCALE;
+      const y = p.y * SCALE;
+      const speed = Math.hypot(p.vx, p.vy);
+      const dx = p.vx / speed;
+      const dy = p.vy / speed;
+
+      if (p.kind === 'orb') {
+        const r = PROJECTILE_RADIUS.orb * SCALE;
+        ctx.globalAlpha = 0.35;
+        ctx.strokeStyle = COLORS.crashEdge;
+        ctx.lineWidth = r;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - dx * r * 3, y - dy * r * 3);
+        ctx.stroke();
+
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fillStyle = COLORS.crashVoid;
+        ctx.fill();
+        ctx.strokeStyle = seededRandom() < 0.5 ? COLORS.crashGlitch : COLORS.crashEdge;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      } else {
+        const len = 2.5 * SCALE;
+        ctx.globalAlpha = 0.9;
+        ctx.strokeStyle = COLORS.crashGlitch;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x - dx * len, y - dy * len);
+        ctx.stroke();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
+    }
+
+    // Hit bursts: scattered glitch pixels
+    for (const h of hits) {
+      const x = h.x * SCALE;
+      const y = h.y * SCALE;
+      const spread = (1 - h.t) * 4 * SCALE;
+      ctx.globalAlpha = h.t;
+      for (let i = 0; i < 10; i++) {
+        ctx.fillStyle = i % 2 ? COLORS.crashGlitch : COLORS.crashEdge;
+        const a = seededRandom() * Math.PI * 2;
+        const d = seededRandom() * spread;
+        ctx.fillRect(x + Math.cos(a) * d - 2, y + Math.sin(a) * d - 2, 4, 4);
+      }
+    }
+    ctx.restore();
+  }
+
+  // Jagged tear at the void's edge where a minion was spat out (t: 1 → 0)
+  function drawMinionEmits() {
+    const emits = crash.getMinionEmits();
+    if (emits.length === 0) return;
+
+    ctx.save();
+    for (const e of emits) {
+      const x = e.x * SCALE;
+      const y = e.y * SCALE;
+      const r = (1 + (1 - e.t) * 2) * 2 * SCALE;
+      ctx.globalAlpha = e.t;
+      ctx.strokeStyle = COLORS.crashEdge;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      for (let i = 0; i <= 12; i++) {
+        const a = (i / 12) * Math.PI * 2;
+        const jag = r * (0.7 + seededRandom() * 0.6);
+        if (i === 0) ctx.moveTo(x + Math.cos(a) * jag, y + Math.sin(a) * jag);
+        else ctx.lineTo(x + Math.cos(a) * jag, y + Math.sin(a) * jag);
+      }
+      ctx.stroke();
+      ctx.fillStyle = COLORS.crashGlitch;
+      for (let i = 0; i < 6; i++) {
+        const a = seededRandom() * Math.PI * 2;
+        ctx.fillRect(x + Math.cos(a) * r - 2, y + Math.sin(a) * r - 2, 4, 4);
+      }
+    }
+    ctx.restore();
+  }
+
+  // Ring bursting out of the void when a new phase begins (t: 1 → 0)
+  function drawPhaseTransition(px, py, pr, t, look) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(px, py, pr * (1 + (1 - t) * 1.5), 0, Math.PI * 2);
+    ctx.strokeStyle = look.edge;
+    ctx.globalAlpha = t * 0.8;
+    ctx.lineWidth = 8 * t;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Numbers rising from each impact; crits are bigger and gold, blocked hits shield-blue
+  function drawDamageNumbers() {
+    const numbers = crash.getDamageNumbers();
+    if (numbers.length === 0) return;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+    for (const n of numbers) {
+      const rise = (1 - n.t) * 40;
+      const pop = n.crit ? 1 + Math.max(0, n.t - 0.8) * 2.5 : 1; // crits swell briefly
+      ctx.globalAlpha = Math.min(1, n.t * 2);
+      ctx.font = `bold ${Math.round((n.crit ? 26 : 18) * pop)}px monospace`;
+      ctx.fillStyle = n.blocked ? `rgb(${SHIELD_COLOR})` : n.crit ? '#ffd23f' : '#ffffff';
+      ctx.strokeText(n.text, n.x * SCALE, n.y * SCALE - rise);
+      ctx.fillText(n.text, n.x * SCALE, n.y * SCALE - rise);
+    }
+    ctx.restore();
+  }
+
   function drawDamageFlash(px, py, pr, ex, ey, er) {
     const t = gameState.damageFlash / 0.2; // 1→0 decay
 
@@ -449,9 +659,7 @@ export function createCrashRenderer(canvas, crash, gameState, world) {
   }
 
   function drawSuctionLines(px, py, center) {
-    const radius = gameState.visualRadius;
-    const growDelta = radius - CRASH_INITIAL_RADIUS;
-    const strength = SUCTION_STRENGTH + SUCTION_GROWTH * growDelta;
+    const strength = crash.getSuctionStrength();
 
     ctx.save();
     ctx.font = '10px monospace';
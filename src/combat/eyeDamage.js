@@ -0,0 +1,101 @@
+import { getObjects } from '../objects.js';
+import {
+  EYE_MOMENTUM_SCALE,
+  DAMAGE_MIN,
+  IMPACT_ANGLE_MIN_FACTOR,
+  CRIT_PUPIL_FRAC,
+  CRIT_MULTIPLIER,
+  BULLET_DAMAGE_BONUS,
+  EXPLOSIVE_DAMAGE_BONUS,
+  REPEAT_HIT_WINDOW,
+  REPEAT_HIT_FALLOFF,
+  DAMAGE_NUMBER_TIME,
+} from './combatConstants.js';
+
+/**
+ * Damage the eye takes from a body hitting it, plus the floating numbers
+ * shown at each impact.
+ *
+ * Base damage is momentum * EYE_MOMENTUM_SCALE, scaled by:
+ * - Impact angle: head-on (moving straight at the eye center) deals it all,
+ *   grazing hits down to IMPACT_ANGLE_MIN_FACTOR
+ * - Crit: the flight line passes through the pupil → CRIT_MULTIPLIER
+ * - Bullets (registered with bullet: true) and explosive-tagged bodies get a bonus
+ * - The same body hitting again within REPEAT_HIT_WINDOW deals less each time
+ */
+export function createEyeDamage() {
+  let clock = 0;                  // seconds, advanced by update()
+  const recentHits = new WeakMap(); // body → { time, count }
+  const numbers = [];             // { x, y, text, crit, blocked, age }
+
+  function isRegisteredBullet(body) {
+    return body.isBullet() && getObjects().some(o => o.body === body);
+  }
+
+  // 1 for the first hit, REPEAT_HIT_FALLOFF^n for the n-th quick repeat
+  function repeatFactor(body) {
+    const last = recentHits.get(body);
+    const count = last && clock - last.time < REPEAT_HIT_WINDOW ? last.count + 1 : 0;
+    recentHits.set(body, { time: clock, count });
+    return Math.pow(REPEAT_HIT_FALLOFF, count);
+  }
+
+  /**
+   * @param {object} body - The body that hit the eye
+   * @param {{x: number, y: number, radius: number}} eye
+   * @returns {{damage: number, crit: boolean, point: {x: number, y: number}}}
+   *   `damage` is 0 for hits too weak to count; `point` is on the eye's edge
+   */
+  function computeHit(body, eye) {
+    const pos = body.getWorldCenter();
+    const toEyeX = eye.x - pos.x;
+    const toEyeY = eye.y - pos.y;
+    const dist = Math.hypot(toEyeX, toEyeY) || 1;
+    const point = { x: eye.x - (toEyeX / dist) * eye.radius, y: eye.y - (toEyeY / dist) * eye.radius };
+
+    const vel = body.getLinearVelocity();
+    const speed = vel.length();
+    const base = speed * body.getMass() * EYE_MOMENTUM_SCALE;
+    if (base < DAMAGE_MIN) return { damage: 0, crit: false, point };
+
+    const cos = (vel.x * toEyeX + vel.y * toEyeY) / (speed * dist);
+    const angleFactor = IMPACT_ANGLE_MIN_FACTOR + (1 - IMPACT_ANGLE_MIN_FACTOR) * Math.max(0, cos);
+
+    // Distance from the eye center to the body's line of flight
+    const miss = Math.abs(toEyeX * vel.y - toEyeY * vel.x) / speed;
+    const crit = cos > 0 && miss <= eye.radius * CRIT_PUPIL_FRAC;
+
+    let damage = base * angleFactor;
+    if (crit) damage *= CRIT_MULTIPLIER;
+    if (isRegisteredBullet(body)) damage *= BULLET_DAMAGE_BONUS;
+    if (body.getUserData()?.explosive) damage *= EXPLOSIVE_DAMAGE_BONUS;
+    damage *= repeatFactor(body);
+
+    return damage < DAMAGE_MIN ? { damage: 0, crit: false, point } : { damage, crit, point };
+  }
+
+  /** Float a number (or "BLOCKED") up from an impact point */
+  function showNumber(point, damage, { crit = false, blocked = false } = {}) {
+    const text = blocked ? 'BLOCKED' : `${Math.max(1, Math.round(damage))}${crit ? '!' : ''}`;
+    numbers.push({ x: point.x, y: point.y, text, crit, blocked, age: 0 });
+  }
+
+  function update(dt) {
+    clock += dt;
+    for (let i = numbers.length - 1; i >= 0; i--) {
+      numbers[i].age += dt;
+      if (numbers[i].age > DAMAGE_NUMBER_TIME) numbers.splice(i, 1);
+    }
+  }
+
+  return {
+    computeHit,
+    showNumber,
+    update,
+    clear() { numbers.length = 0; },
+    /** Floating numbers; `t` runs 1 → 0 */
+    getNumbers() {
+      return numbers.map(n => ({ x: n.x, y: n.y, text: n.text, crit: n.crit, blocked: n.blocked, t: 1 - n.age / DAMAGE_NUMBER_TIME }));
+    },
+  };
+}
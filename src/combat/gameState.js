@@ -19,7 +19,16 @@ export function createGameState(healthBar) {
   let objectsCreated = 0;
   let objectsConsumed = 0;
   let totalDamageDealt = 0;
+  let criticalHits = 0;
+  let projectilesFired = 0;
+  let projectileHits = { object: 0, dino: 0, gemini: 0 };
+  let objectsDestroyedByCrash = 0;  // shot down by its projectiles
+  let objectsCorrupted = 0;
+  let minionsCreated = 0;           // swallowed objects re-emitted against the player
+  let minionHits = { gemini: 0, dino: 0 };
+  let minionsDefeated = 0;
   let victoryTime = 0;
+  const damageListeners = [];
 
   function start() {
     if (state !== 'idle') return;
@@ -29,6 +38,14 @@ export function createGameState(healthBar) {
     objectsCreated = 0;
     objectsConsumed = 0;
     totalDamageDealt = 0;
+    criticalHits = 0;
+    projectilesFired = 0;
+    projectileHits = { object: 0, dino: 0, gemini: 0 };
+    objectsDestroyedByCrash = 0;
+    objectsCorrupted = 0;
+    minionsCreated = 0;
+    minionHits = { gemini: 0, dino: 0 };
+    minionsDefeated = 0;
   }
 
   function enterCombat() {
@@ -95,8 +112,49 @@ export function createGameState(healthBar) {
     objectsConsumed++;
   }
 
-  function trackDamage(amount) {
+  /**
+   * @param {number} amount
+   * @param {object} [source] - Cache variant of the body that dealt it (body user data `cacheSource`)
+   * @param {boolean} [crit] - Hit the pupil
+   */
+  function trackDamage(amount, source = null, crit = false) {
     totalDamageDealt += amount;
+    if (crit) criticalHits++;
+    for (const fn of damageListeners) fn(amount, source);
+  }
+
+  function trackProjectileFired(count = 1) {
+    projectilesFired += count;
+  }
+
+  /**
+   * A Crash projectile struck something.
+   * @param {'object'|'dino'|'gemini'} target
+   * @param {'destroyed'|'corrupted'|'knocked'} effect
+   */
+  function trackProjectileHit(target, effect) {
+    projectileHits[target]++;
+    if (effect === 'destroyed') objectsDestroyedByCrash++;
+    if (effect === 'corrupted' && target === 'object') objectsCorrupted++;
+  }
+
+  function trackMinionCreated() {
+    minionsCreated++;
+  }
+
+  /** @param {'gemini'|'dino'} target */
+  function trackMinionHit(target) {
+    minionHits[target]++;
+  }
+
+  /** Smashed or knocked out of bounds */
+  function trackMinionDefeated() {
+    minionsDefeated++;
+  }
+
+  /** Subscribe to damage dealt: fn(amount, source) */
+  function onDamage(fn) {
+    damageListeners.push(fn);
   }
 
   function getStats() {
@@ -104,6 +162,14 @@ export function createGameState(healthBar) {
       objectsCreated,
       objectsConsumed,
       totalDamageDealt,
+      criticalHits,
+      projectilesFired,
+      projectileHits: { ...projectileHits },
+      objectsDestroyedByCrash,
+      objectsCorrupted,
+      minionsCreated,
+      minionHits: { ...minionHits },
+      minionsDefeated,
       elapsed,
       victoryTime,
     };
@@ -120,6 +186,12 @@ export function createGameState(healthBar) {
     trackObjectCreated,
     trackObjectConsumed,
     trackDamage,
+    trackProjectileFired,
+    trackProjectileHit,
+    trackMinionCreated,
+    trackMinionHit,
+    trackMinionDefeated,
+    onDamage,
     getStats,
     get visualRadius() { return visualRadius; },
     get elapsed() { return elapsed; },
@@ -1,6 +1,9 @@
 import planck from 'planck';
 import { CAT_CRASH } from '../constants.js';
 import { getObjects, unregisterObject } from '../objects.js';
+import { createCrashAttacks } from './crashAttacks.js';
+import { createCrashMinions } from './crashMinions.js';
+import { createEyeDamage } from './eyeDamage.js';
 import {
   CRASH_INITIAL_RADIUS,
   CRASH_ENTRY_SPEED,
@@ -8,21 +11,31 @@ import {
   EYE_RADIUS_FRAC,
   EYE_MIN_RADIUS,
   EYE_RESTITUTION,
-  EYE_MOMENTUM_SCALE,
-  EYE_ROAM_SPEED,
   SUCTION_STRENGTH,
   SUCTION_GROWTH,
   DETACH_FORCE_THRESHOLD,
+  CRASH_PHASES,
+  PHASE_TRANSITION_TIME,
+  REPOSITION_MARGIN,
+  REPOSITION_GEMINI_CLEARANCE,
+  DAMAGE_MIN,
+  EXPLOSION_DAMAGE_SCALE,
 } from './combatConstants.js';
 
 /**
  * Creates The Crash entity — a void/corruption boss with two Box2D bodies.
  *
  * - Void core: tiny kinematic sensor that destroys anything it touches
- * - Eye: kinematic body offset to the right — the weak point that takes damage
+ * - Eye: kinematic body on the orb's edge — the weak point that takes damage
+ *
+ * As its health drops it moves through CRASH_PHASES: later phases glide
+ * around the screen, roam the eye over more of the edge, shield the eye for
+ * intervals and pulse their suction. It also shoots back (crashAttacks.js)
+ * and turns some of what it swallows into minions (crashMinions.js).
  * @param {object} geminiIcon - The Gemini icon instance (for danger zone tracking)
+ * @param {object} [executor] - Lets minions redirect their updater's getTarget()
  */
-export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null) {
+export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null, executor = null) {
   // --- Spawn position: off-screen left, centered vertically ---
   const startRadius = CRASH_INITIAL_RADIUS;
   let cx = -startRadius;
@@ -32,12 +45,22 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
   let targetX = startRadius + 10; // stop once visual is fully visible
   let enteredScreen = false;
 
-  // --- Eye roaming state (top-right arc: -PI/2 to 0) ---
-  const EYE_ARC_MIN = -Math.PI / 2; // straight up
-  const EYE_ARC_MAX = 0;            // straight right
-  let eyeAngle = -Math.PI / 4;      // start at 45° (middle of arc)
-  let eyeVelocity = EYE_ROAM_SPEED; // current angular velocity (smooth)
-  let eyeTargetDir = 1;             // 1 = toward right, -1 = toward top
+  // --- Phase state (see CRASH_PHASES) ---
+  let phaseIndex = 0;
+  let phaseTransition = 0;          // seconds left of the phase-change pulse
+  let repositionTimer = 0;          // time until the next glide
+  let moveTarget = null;            // { x, y } while gliding
+  let shielded = false;
+  let shieldTimer = 0;              // time until the shield toggles
+  let shieldFlash = 0;              // seconds left of the "hit the shield" flash
+  const SHIELD_FLASH_TIME = 0.2;
+  let burstTimer = 0;               // time until the next suction burst
+  let burstTimeLeft = 0;            // > 0 while a burst is running
+
+  // --- Eye roaming state (arc comes from the current phase) ---
+  let eyeAngle = -Math.PI / 4;      // start at 45° (middle of the first arc)
+  let eyeVelocity = CRASH_PHASES[0].eyeSpeed; // current angular velocity (smooth)
+  let eyeTargetDir = 1;             // 1 = increasing angle, -1 = decreasing
   let eyeJitterTimer = 0;           // time until next target change
   let currentEyeRadius = Math.max(EYE_MIN_RADIUS, startRadius * EYE_RADIUS_FRAC);
 
@@ -104,18 +127,15 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
     const otherBody = otherFixture.getBody();
     const ud = otherBody.getUserData();
 
-    // Don't consume walls, cursor, gemini icon, crash parts, or particles
-    if (ud?.isCursor || ud?.isGeminiIcon || ud?.isCrash || ud?.isEphemeral) return;
+    // Don't consume walls, cursor, gemini icon, crash parts, particles or its own minions
+    if (ud?.isCursor || ud?.isGeminiIcon || ud?.isCrash || ud?.isEphemeral || ud?.isMinion) return;
     if (otherBody.getType() === 'static') return;
 
-    // Mark as consumed immediately so updaters stop
-    const ud2 = otherBody.getUserData() || {};
-    ud2.isConsumed = true;
-    otherBody.setUserData(ud2);
-
-    // Schedule destruction (can't destroy during contact callback)
-    scheduledDestroys.push(otherBody);
-    gameState.trackObjectConsumed();
+    // Sometimes it comes back out, turned against the player
+    if (!minions.tryCorrupt(otherBody)) {
+      consumeBody(otherBody);
+      gameState.trackObjectConsumed();
+    }
 
     // Trigger screen shake
     triggerShake();
@@ -127,20 +147,23 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
     const otherBody = otherFixture.getBody();
     const ud = otherBody.getUserData();
 
-    // Don't take damage from walls, cursor, gemini icon, or crash parts
-    if (ud?.isCursor || ud?.isGeminiIcon || ud?.isCrash) return;
+    // Don't take damage from walls, cursor, gemini icon, crash parts or minions
+    if (ud?.isCursor || ud?.isGeminiIcon || ud?.isCrash || ud?.isMinion) return;
     if (otherBody.getType() === 'static') return;
 
-    const vel = otherBody.getLinearVelocity();
-    const speed = vel.length();
-    const mass = otherBody.getMass();
-    const momentum = speed * mass;
-    const damage = momentum * EYE_MOMENTUM_SCALE;
+    const eyePos = eyeBody.getPosition();
+    const { damage, crit, point } = eyeDamage.computeHit(otherBody, { x: eyePos.x, y: eyePos.y, radius: currentEyeRadius });
 
-    if (damage > 0.1) {
+    // damage is 0 for hits too weak to count
+    if (damage > 0 && shielded) {
+      // Bounces off harmlessly while the shield is up
+      shieldFlash = SHIELD_FLASH_TIME;
+      eyeDamage.showNumber(point, damage, { blocked: true });
+    } else if (damage > 0) {
       healthBar.takeDamage(damage);
       gameState.triggerDamageFlash();
-      gameState.trackDamage(damage);
+      gameState.trackDamage(damage, ud?.cacheSource, crit);
+      eyeDamage.showNumber(point, damage, { crit });
     }
 
     // Destroy ephemeral objects (bullets, particles) on eye contact
@@ -149,9 +172,64 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
     }
   }
 
+  // --- Damage model: angle, crits, bonuses, repeat falloff (see eyeDamage.js) ---
+  const eyeDamage = createEyeDamage();
+
+  // --- Explosions: explode() from generated code (see explosions.js) ---
+  // Falloff is measured to the eye's edge, so a blast touching it counts in full
+  function takeBlast({ x, y, radius, power, source }) {
+    if (!gameState.isActive() || !enteredScreen) return;
+    const eyePos = eyeBody.getPosition();
+    const dx = x - eyePos.x;
+    const dy = y - eyePos.y;
+    const centerDist = Math.hypot(dx, dy) || 1;
+    const dist = Math.max(0, centerDist - currentEyeRadius);
+    if (dist >= radius) return;
+
+    const damage = power * (1 - dist / radius) * EXPLOSION_DAMAGE_SCALE;
+    if (damage < DAMAGE_MIN) return;
+    const point = { x: eyePos.x + (dx / centerDist) * currentEyeRadius, y: eyePos.y + (dy / centerDist) * currentEyeRadius };
+
+    if (shielded) {
+      shieldFlash = SHIELD_FLASH_TIME;
+      eyeDamage.showNumber(point, damage, { blocked: true });
+      return;
+    }
+    healthBar.takeDamage(damage);
+    gameState.triggerDamageFlash();
+    gameState.trackDamage(damage, source);
+    eyeDamage.showNumber(point, damage);
+    triggerShake();
+  }
+
   // Bodies queued for destruction (can't destroy during contact callbacks)
   const scheduledDestroys = [];
 
+  function consumeBody(body) {
+    // Mark as consumed immediately so updaters stop
+    const ud = body.getUserData() || {};
+    ud.isConsumed = true;
+    body.setUserData(ud);
+
+    // Schedule destruction (can't destroy during contact callback)
+    scheduledDestroys.push(body);
+  }
+
+  // --- Ranged attacks: shots fired from the eye (see crashAttacks.js) ---
+  const attacks = createCrashAttacks(world, gameState, W, H, {
+    getOrigin: () => eyeBody.getPosition(),
+    getPhase: () => CRASH_PHASES[phaseIndex],
+    consume: consumeBody,
+    geminiIcon,
+  });
+
+  // --- Corruption: swallowed objects re-emitted as minions (see crashMinions.js) ---
+  const minions = createCrashMinions(world, gameState, {
+    getCenter: () => ({ x: cx, y: cy }),
+    geminiIcon,
+    executor,
+  });
+
   // --- Screen shake functions ---
   function triggerShake() {
     shakeIntensity = SHAKE_INTENSITY;
@@ -172,9 +250,96 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
     return { x, y };
   }
 
+  // --- Phases ---
+  function updatePhase() {
+    const healthFrac = healthBar.getHealth() / healthBar.getMaxHealth();
+    let next = phaseIndex;
+    while (next + 1 < CRASH_PHASES.length && healthFrac <= CRASH_PHASES[next + 1].health) next++;
+    if (next === phaseIndex) return;
+
+    phaseIndex = next;
+    const phase = CRASH_PHASES[phaseIndex];
+    console.log(`[Crash] Phase ${phaseIndex + 1}: ${phase.name}`);
+    phaseTransition = PHASE_TRANSITION_TIME;
+    repositionTimer = phase.reposition ? phase.reposition.interval / 2 : 0; // first glide comes early
+    shielded = false;
+    shieldTimer = phase.shield?.interval ?? 0;
+    burstTimer = phase.suctionBurst?.interval ?? 0;
+    burstTimeLeft = 0;
+    triggerShake();
+  }
+
+  // Shield and suction burst cycles of the current phase
+  function updatePhaseTimers(dt) {
+    const phase = CRASH_PHASES[phaseIndex];
+    phaseTransition = Math.max(0, phaseTransition - dt);
+    shieldFlash = Math.max(0, shieldFlash - dt);
+
+    if (phase.shield) {
+      shieldTimer -= dt;
+      if (shieldTimer <= 0) {
+        shielded = !shielded;
+        shieldTimer = shielded ? phase.shield.duration : phase.shield.interval;
+      }
+    }
+
+    if (phase.suctionBurst) {
+      if (burstTimeLeft > 0) {
+        burstTimeLeft = Math.max(0, burstTimeLeft - dt);
+      } else {
+        burstTimer -= dt;
+        if (burstTimer <= 0) {
+          burstTimeLeft = phase.suctionBurst.duration;
+          burstTimer = phase.suctionBurst.interval;
+        }
+      }
+    }
+  }
+
+  // Random on-screen spot away from Gemini, or null if none was found
+  function pickRepositionTarget() {
+    const geminiPos = geminiIcon?.body?.getPosition();
+    for (let attempt = 0; attempt < 8; attempt++) {
+      const x = W * (REPOSITION_MARGIN + Math.random() * (1 - 2 * REPOSITION_MARGIN));
+      const y = H * (REPOSITION_MARGIN + Math.random() * (1 - 2 * REPOSITION_MARGIN));
+      if (!geminiPos || Math.hypot(x - geminiPos.x, y - geminiPos.y) >= REPOSITION_GEMINI_CLEARANCE) {
+        return { x, y };
+      }
+    }
+    return null;
+  }
+
+  function updateReposition(dt) {
+    const { reposition } = CRASH_PHASES[phaseIndex];
+    if (!reposition) return;
+
+    if (!moveTarget) {
+      repositionTimer -= dt;
+      if (repositionTimer > 0) return;
+      moveTarget = pickRepositionTarget();
+      if (!moveTarget) repositionTimer = reposition.interval / 2; // Gemini is in the way; retry sooner
+      return;
+    }
+
+    const dx = moveTarget.x - cx;
+    const dy = moveTarget.y - cy;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const step = reposition.speed * dt;
+    if (dist <= step) {
+      cx = moveTarget.x;
+      cy = moveTarget.y;
+      moveTarget = null;
+      repositionTimer = reposition.interval;
+    } else {
+      cx += (dx / dist) * step;
+      cy += (dy / dist) * step;
+    }
+  }
+
   // --- Movement ---
   function updateMovement(dt) {
     const radius = gameState.visualRadius;
+    const phase = CRASH_PHASES[phaseIndex];
 
     if (!enteredScreen) {
       // Entry phase: move horizontally from the left
@@ -187,9 +352,10 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
         }
       }
     }
-    // After entry: stationary. The orb stays put and just grows + sucks.
+    // After entry the orb grows + sucks; later phases also glide around the screen
+    if (enteredScreen) updateReposition(dt);
 
-    // --- Eye roaming: smooth haphazard drift along top-right arc ---
+    // --- Eye roaming: smooth haphazard drift along the phase's arc ---
     eyeJitterTimer -= dt;
     if (eyeJitterTimer <= 0) {
       // Randomly pick a new target direction
@@ -197,12 +363,18 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
       eyeJitterTimer = 0.5 + Math.random() * 1.5;
     }
     // Smoothly lerp velocity toward target direction
-    const targetVel = EYE_ROAM_SPEED * eyeTargetDir;
+    const targetVel = phase.eyeSpeed * eyeTargetDir;
     eyeVelocity += (targetVel - eyeVelocity) * Math.min(dt * 2, 1);
     eyeAngle += eyeVelocity * dt;
-    // Soft bounce at arc edges
-    if (eyeAngle <= EYE_ARC_MIN) { eyeAngle = EYE_ARC_MIN; eyeTargetDir = 1; eyeVelocity = Math.abs(eyeVelocity) * 0.5; }
-    if (eyeAngle >= EYE_ARC_MAX) { eyeAngle = EYE_ARC_MAX; eyeTargetDir = -1; eyeVelocity = -Math.abs(eyeVelocity) * 0.5; }
+    const [arcMin, arcMax] = phase.eyeArc;
+    if (arcMax - arcMin >= Math.PI * 2) {
+      // Full circle: wrap instead of bouncing
+      eyeAngle = ((eyeAngle - arcMin) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2) + arcMin;
+    } else {
+      // Soft bounce at arc edges
+      if (eyeAngle <= arcMin) { eyeAngle = arcMin; eyeTargetDir = 1; eyeVelocity = Math.abs(eyeVelocity) * 0.5; }
+      if (eyeAngle >= arcMax) { eyeAngle = arcMax; eyeTargetDir = -1; eyeVelocity = -Math.abs(eyeVelocity) * 0.5; }
+    }
 
     // Eye sits at the visual radius edge (half in, half out)
     const eyeX = cx + Math.cos(eyeAngle) * radius;
@@ -232,15 +404,21 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
     eyeBody.setLinearVelocity(new planck.Vec2(0, 0));
   }
 
+  // Current pull, including a running suction burst
+  function getSuctionStrength() {
+    const growDelta = gameState.visualRadius - CRASH_INITIAL_RADIUS;
+    const strength = SUCTION_STRENGTH + SUCTION_GROWTH * growDelta;
+    const burst = CRASH_PHASES[phaseIndex].suctionBurst;
+    return burstTimeLeft > 0 && burst ? strength * burst.multiplier : strength;
+  }
+
   // --- Suction (inverse-square falloff, everything is in range) ---
   function applySuction() {
-    const radius = gameState.visualRadius;
-    const growDelta = radius - CRASH_INITIAL_RADIUS;
-    const strength = SUCTION_STRENGTH + SUCTION_GROWTH * growDelta;
+    const strength = getSuctionStrength();
 
     for (let b = world.getBodyList(); b; b = b.getNext()) {
       const ud = b.getUserData();
-      if (ud?.isCursor || ud?.isGeminiIcon || ud?.isCrash || ud?.isEphemeral) continue;
+      if (ud?.isCursor || ud?.isGeminiIcon || ud?.isCrash || ud?.isEphemeral || ud?.isMinion) continue;
 
       const bodyType = b.getType();
 
@@ -342,14 +520,24 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
   function update(dt) {
     if (!gameState.isActive()) return;
 
+    if (enteredScreen) {
+      updatePhase();
+      updatePhaseTimers(dt);
+    }
     updateMovement(dt);
     applySuction();
+    if (enteredScreen) attacks.update(dt);
+    minions.update(dt);
+    eyeDamage.update(dt);
     updateGeminiDanger();
     processDestroys();
   }
 
   // --- Cleanup ---
   function destroy() {
+    attacks.clear();
+    minions.clear();
+    eyeDamage.clear();
     try { world.destroyBody(voidBody); } catch (e) { /* already gone */ }
     try { world.destroyBody(eyeBody); } catch (e) { /* already gone */ }
   }
@@ -368,6 +556,29 @@ export function createCrash(world, gameState, healthBar, W, H, geminiIcon = null
       };
     },
     getEyeRadius() { return currentEyeRadius; },
+    getSuctionStrength,
+    getProjectiles: attacks.getProjectiles,
+    getProjectileHits: attacks.getHits,
+    getMinionEmits: minions.getEmits,
+    getDamageNumbers: eyeDamage.getNumbers,
+    takeBlast,
+    /** Current phase; `transition` runs 1 → 0 just after entering it */
+    getPhase() {
+      return {
+        index: phaseIndex,
+        name: CRASH_PHASES[phaseIndex].name,
+        transition: phaseTransition / PHASE_TRANSITION_TIME,
+      };
+    },
+    /** Eye shield state; `flash` is 1 → 0 after something bounced off it */
+    getShield() {
+      return { active: shielded, flash: shieldFlash / SHIELD_FLASH_TIME };
+    },
+    /** 1 → 0 over a running suction burst, 0 otherwise */
+    getSuctionBurst() {
+      const burst = CRASH_PHASES[phaseIndex].suctionBurst;
+      return burst && burstTimeLeft > 0 ? burstTimeLeft / burst.duration : 0;
+    },
     get voidBody() { return voidBody; },
     get eyeBody() { return eyeBody; },
   };
@@ -1,6 +1,14 @@
 // Curated "golden" objects - hand-crafted and tested
 // Keys must match normalized prompt output (lowercase, 1-2 words)
 // These take priority over Firebase and Gemini-generated code
+// Object bundles exported from dev.html (see bundle.js) can be dropped into
+// src/curatedPacks/ to promote entries without pasting code here. Curated
+// code runs unsandboxed, so each entry has to pass the validator. The build
+// also checks their hashes (scripts/verifyCuratedPacks.js), which only catches
+// corrupted or hand-edited packs.
+
+import { isBundle } from './bundle.js';
+import { validateCode } from './validator.js';
 
 export const CURATED_OBJECTS = {
   'catapult': `var p=planck,v=p.Vec2,x=spawnX,y=spawnY,w=world,G=40,SPD=55,b=w.createBody({type:'dynamic',position:v(x,y)});b.createFixture(p.Box(4,1),{density:3,friction:.5});registerObject({body:b,type:'rect',hw:4,hh:1,color:'#8b4513'});var wf=function(o){var k=w.createBody({type:'dynamic',position:v(x+o,y+1.5)});k.createFixture(p.Circle(1.2),{density:1.2,friction:.8});registerObject({body:k,type:'circle',radius:1.2,color:'#5d4037'});w.createJoint(new p.RevoluteJoint({enableMotor:true,motorSpeed:-8,maxMotorTorque:300},b,k,k.getPosition()))};wf(2.5);wf(-2.5);var a=w.createBody({type:'dynamic',position:v(x+1,y-1.5),angle:.1});a.createFixture(p.Box(3.5,.3),{density:0.6});a.createFixture(p.Box(.2,.8,v(3.3,-.6),0),{density:0.6});registerObject({body:a,type:'rect',hw:3.5,hh:.3,color:'#cd853f'});var j=w.createJoint(new p.RevoluteJoint({enableLimit:true,lowerAngle:-2.5,upperAngle:.2,enableMotor:true,maxMotorTorque:18000,motorSpeed:0},b,a,v(x-2,y-1)));var t=0,rock=null,rockJoint=null,fireStart=0,nextFire=90;function loadRock(){var ap=a.getWorldPoint(v(3.3,-0.8));rock=w.createBody({type:'dynamic',position:ap});rock.createFixture(p.Circle(.7),{density:4.8,friction:1});registerObject({body:rock,type:'circle',radius:.7,color:'#2c3e50'});rockJoint=w.createJoint(new p.WeldJoint({},a,rock,ap))}loadRock();return{update:function(){t++;var tg=getTarget();if(tg&&!fireStart&&t>=nextFire){j.setMotorSpeed(-40);fireStart=t}if(fireStart&&t-fireStart>15){if(rockJoint){w.destroyJoint(rockJoint);rockJoint=null}if(rock){var av=a.getLinearVelocityFromWorldPoint(a.getWorldPoint(v(3.3,0)));rock.setLinearVelocity(av);rock=null}j.setMotorSpeed(8);fireStart=0;nextFire=t+150;setTimeout(loadRock,1200)}}}`,
@@ -41,3 +49,21 @@ export const CURATED_OBJECTS = {
 
   'virus': `var p=planck,v=p.Vec2,x=spawnX,y=spawnY,w=world,G=40,SPD=85,a=w.createBody({type:'dynamic',position:v(x,y),gravityScale:0,angularVelocity:1.5,linearVelocity:v(-15,0)});a.createFixture(p.Circle(3),{density:1,friction:.5,restitution:.5});registerObject({body:a,type:'circle',radius:3,color:'#8e44ad'});for(var i=0;i<8;i++){var r=i*Math.PI/4,px=x+Math.cos(r)*3,py=y+Math.sin(r)*3,b=w.createBody({type:'dynamic',position:v(px,py),angle:r,gravityScale:0});b.createFixture(p.Box(1,.3),{density:.1});registerObject({body:b,type:'rect',hw:1,hh:.3,color:'#2ecc71'});w.createJoint(new p.WeldJoint({},a,b,v(px,py)))}var t=0;return{update:function(){if(++t>50){t=0;var g=getTarget();if(g){var pos=a.getPosition(),dx=g.x-pos.x,dy=g.y-pos.y,dist=Math.sqrt(dx*dx+dy*dy),ft=dist/SPD,drop=0.5*G*ft*ft,nx=dx/dist,ny=(dy-drop)/dist;var z=w.createBody({type:'dynamic',position:pos,bullet:true});z.createFixture(p.Circle(.6),{density:1,restitution:.8});z.setLinearVelocity(v(nx*SPD,ny*SPD));registerObject({body:z,type:'circle',radius:.6,color:'#e74c3c'})}}}};`,
 };
+
+// Merge curated packs; entries written above win on key clashes
+const packs = import.meta.glob('./curatedPacks/*.json', { eager: true, import: 'default' });
+for (const [file, pack] of Object.entries(packs)) {
+  if (!isBundle(pack)) {
+    console.warn('[Curated] Skipping', file, '— not an object bundle');
+    continue;
+  }
+  for (const [key, entry] of Object.entries(pack.entries)) {
+    if (key in CURATED_OBJECTS || typeof entry?.code !== 'string') continue;
+    const issues = validateCode(entry.code);
+    if (issues.length > 0) {
+      console.warn('[Curated] Skipping', key, 'from', file, '—', issues.map(i => i.message).join('; '));
+      continue;
+    }
+    CURATED_OBJECTS[key] = entry.code;
+  }
+}
@@ -1,10 +1,10 @@
 import planck from 'planck';
 import { SCALE, WALL_THICKNESS, COLORS } from './constants.js';
 import { CURATED_OBJECTS } from './curatedCache.js';
+import { getProvider } from './llm/provider.js';
 
-// --- Gemini 2.5 Flash API ---
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${API_KEY}`;
+// --- Gemini 2.0 Flash (via the shared LLM provider layer) ---
+const DEMO_MODELS = ['gemini-2.0-flash'];
 
 const SYSTEM_PROMPT = `You generate planck.js code for a Box2D physics game. Return ONLY executable JS — no markdown, no comments, no blank lines.
 Machine-executed only. Maximize conciseness: single-letter vars, inline everything, only create a variable if referenced more than once.
@@ -48,29 +48,17 @@ function stripCodeFences(text) {
 }
 
 async function generateWithGemini(userPrompt) {
-  const response = await fetch(API_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [
-        { role: 'user', parts: [{ text: SYSTEM_PROMPT + '\n\nReply with only "ready".' }] },
-        { role: 'model', parts: [{ text: 'ready' }] },
-        { role: 'user', parts: [{ text: `Create: "${userPrompt}"` }] },
-      ],
-      generationConfig: {
-        temperature: 0.8,
-        maxOutputTokens: 16384,
-      },
-    }),
+  const { text } = await getProvider().generate([
+    { role: 'user', parts: [{ text: SYSTEM_PROMPT + '\n\nReply with only "ready".' }] },
+    { role: 'model', parts: [{ text: 'ready' }] },
+    { role: 'user', parts: [{ text: `Create: "${userPrompt}"` }] },
+  ], {
+    models: DEMO_MODELS,
+    generationConfig: {
+      temperature: 0.8,
+      maxOutputTokens: 16384,
+    },
   });
-
-  if (!response.ok) {
-    const err = await response.text();
-    throw new Error(`Gemini API error (${response.status}): ${err}`);
-  }
-
-  const data = await response.json();
-  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
   if (!text) throw new Error('Gemini returned empty response');
 
   console.log('[Gemini raw response]', text);
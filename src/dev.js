@@ -1,7 +1,13 @@
 import planck from 'planck';
 import { SCALE, WALL_THICKNESS, CAT_WALL, COLORS } from './constants.js';
-import { fetchAllFirebase, LS_PREFIX_EXPORT } from './cache.js';
+import { fetchAllShared, LS_PREFIX_EXPORT, readVariants, pickVariant, scoreVariant, storeLocal } from './cache.js';
 import { CURATED_OBJECTS } from './curatedCache.js';
+import { readEntry } from './manifest.js';
+import { createBundle, readBundle } from './bundle.js';
+import { isAllowedKey } from './moderation.js';
+import { validateCode } from './validator.js';
+import { clearCacheStats, LOOKUP_TIERS, readCacheStats } from './cacheStats.js';
+import { createExplosions, drawExplosions } from './explosions.js';
 
 // --- Canvas setup ---
 const canvas = document.getElementById('c');
@@ -10,6 +16,14 @@ const objectList = document.getElementById('object-list');
 const statusEl = document.getElementById('status');
 const btnRefresh = document.getElementById('btn-refresh');
 const btnClear = document.getElementById('btn-clear');
+const btnExport = document.getElementById('btn-export');
+const btnImport = document.getElementById('btn-import');
+const importInput = document.getElementById('import-file');
+const btnStats = document.getElementById('btn-stats');
+const btnStatsReset = document.getElementById('btn-stats-reset');
+const statsPanel = document.getElementById('stats-panel');
+const statsSummary = document.getElementById('stats-summary');
+const statsBody = document.querySelector('#stats-table tbody');
 
 function resizeCanvas() {
   canvas.width = window.innerWidth - sidebar.offsetWidth;
@@ -20,6 +34,7 @@ window.addEventListener('resize', resizeCanvas);
 
 // --- Physics world (same as world.js but uses canvas size) ---
 let world;
+let explosions; // explode() for generated code, rebuilt with the world
 const objects = [];
 const updaters = [];
 
@@ -110,7 +125,7 @@ function execute(code, spawnX, spawnY, targetX = null, targetY = null) {
   let fn;
   try {
     fn = new Function(
-      'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget',
+      'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget', 'explode',
       code,
     );
   } catch (e) {
@@ -120,7 +135,7 @@ function execute(code, spawnX, spawnY, targetX = null, targetY = null) {
 
   let result;
   try {
-    result = fn(planck, world, wrappedRegister, W, H, spawnX, spawnY, tx, ty, getTarget);
+    result = fn(planck, world, wrappedRegister, W, H, spawnX, spawnY, tx, ty, getTarget, explosions.explode);
   } catch (e) {
     statusEl.textContent = `Runtime error: ${e.message}`;
     return;
@@ -138,6 +153,7 @@ function execute(code, spawnX, spawnY, targetX = null, targetY = null) {
   }
 
   statusEl.textContent = `Spawned object (${objects.length} bodies)`;
+  return true;
 }
 
 function cleanupOOB() {
@@ -175,6 +191,7 @@ function resetWorld() {
   objects.length = 0;
   updaters.length = 0;
   world = createWorld(); // createWorld adds floor to objects
+  explosions = createExplosions(world);
   // Set default target position (left side, 90% down)
   const W = canvas.width / SCALE;
   const H = canvas.height / SCALE;
@@ -269,6 +286,8 @@ function draw() {
   // This catches bodies created without registerObject
   drawUntracked();
 
+  drawExplosions(ctx, explosions.getActive());
+
   // Draw target crosshair
   if (devTargetX != null && devTargetY != null) {
     const tx = devTargetX * SCALE;
@@ -396,17 +415,26 @@ function setupInput() {
 }
 
 // --- Fetch cached entries ---
-let entries = {}; // key → code
+let entries = {}; // key → { code, manifest, origin: 'curated' | 'shared' | 'local' }
+let quarantined = {}; // "key/variantId" → { key, code, manifest, variant } — crashed in game, never served
 
 async function fetchEntries() {
   statusEl.textContent = 'Fetching...';
   entries = {};
-
-  // Firebase
-  const firebase = await fetchAllFirebase();
-  for (const [key, code] of Object.entries(firebase)) {
-    if (typeof code === 'string') {
-      entries[key] = code;
+  quarantined = {};
+
+  // Shared backend — the variant the game would serve, plus quarantined ones for review
+  const shared = await fetchAllShared();
+  for (const [key, value] of Object.entries(shared)) {
+    const variants = readVariants(value);
+    const best = pickVariant(variants);
+    if (best) {
+      entries[key] = { code: best.code, manifest: best.manifest, origin: 'shared', variant: best, variantCount: variants.length };
+    }
+    for (const variant of variants) {
+      if (variant.quarantine) {
+        quarantined[`${key}/${variant.id}`] = { key, code: variant.code, manifest: variant.manifest, variant };
+      }
     }
   }
 
@@ -417,20 +445,23 @@ async function fetchEntries() {
       const name = lsKey.slice(LS_PREFIX_EXPORT.length);
       if (!entries[name]) {
         try {
-          const val = JSON.parse(localStorage.getItem(lsKey));
-          if (typeof val === 'string') entries[name] = val;
+          const entry = readEntry(JSON.parse(localStorage.getItem(lsKey)));
+          if (entry) entries[name] = { ...entry, origin: 'local' };
         } catch { /* skip */ }
       }
     }
   }
 
   // Curated (highest priority - overwrites others)
+  // Curated entries have no manifest; keep one a shared copy may carry
   for (const [key, code] of Object.entries(CURATED_OBJECTS)) {
-    entries[key] = code;
+    entries[key] = { code, manifest: entries[key]?.manifest ?? null, origin: 'curated' };
   }
 
   renderSidebar();
-  statusEl.textContent = `${Object.keys(entries).length} cached objects`;
+  const quarantineCount = Object.keys(quarantined).length;
+  statusEl.textContent = `${Object.keys(entries).length} cached objects` +
+    (quarantineCount ? `, ${quarantineCount} quarantined` : '');
 }
 
 // --- Sidebar rendering ---
@@ -440,17 +471,59 @@ function renderSidebar() {
   objectList.innerHTML = '';
   const keys = Object.keys(entries).sort();
   for (const key of keys) {
+    const { manifest, variant, variantCount } = entries[key];
     const el = document.createElement('div');
     el.className = 'object-item' + (key === activeKey ? ' active' : '');
     el.textContent = key;
+    const metaParts = [
+      manifest && manifest.name !== key ? manifest.name : null,
+      manifest?.category,
+      manifest?.bodies != null ? `~${manifest.bodies} bodies` : null,
+      variantCount > 1 ? `${variantCount} variants` : null,
+      variant?.id ? `score ${scoreVariant(variant).toFixed(1)}` : null,
+    ].filter(Boolean);
+    if (metaParts.length > 0) {
+      const meta = document.createElement('div');
+      meta.className = 'object-meta';
+      meta.textContent = metaParts.join(' · ');
+      el.appendChild(meta);
+    }
+    if (manifest?.description) el.title = manifest.description;
     el.addEventListener('click', () => spawnEntry(key));
     objectList.appendChild(el);
   }
+
+  const quarantineIds = Object.keys(quarantined).sort();
+  if (quarantineIds.length === 0) return;
+
+  const heading = document.createElement('div');
+  heading.className = 'object-section';
+  heading.textContent = `Quarantined (${quarantineIds.length})`;
+  objectList.appendChild(heading);
+
+  for (const id of quarantineIds) {
+    const { key, variant } = quarantined[id];
+    const el = document.createElement('div');
+    el.className = 'object-item quarantined' + (id === activeKey ? ' active' : '');
+    el.textContent = key;
+    const meta = document.createElement('div');
+    meta.className = 'object-meta';
+    meta.textContent = [
+      new Date(variant.quarantine.at).toLocaleString(),
+      `${variant.errors} errors`,
+      variant.quarantine.reason,
+    ].filter(Boolean).join(' · ');
+    el.appendChild(meta);
+    el.title = variant.quarantine.reason || '';
+    el.addEventListener('click', () => spawnEntry(id));
+    objectList.appendChild(el);
+  }
 }
 
+// `key` is a cache key, or a "key/variantId" id from the quarantine list
 function spawnEntry(key) {
-  const code = entries[key];
-  if (!code) return;
+  const entry = entries[key] ?? quarantined[key];
+  if (!entry) return;
 
   activeKey = key;
   renderSidebar();
@@ -463,11 +536,103 @@ function spawnEntry(key) {
   const spawnX = W * 0.7;
   const spawnY = H * 0.2;
 
-  execute(code, spawnX, spawnY);
+  if (execute(entry.code, spawnX, spawnY) && entry.manifest?.description) {
+    statusEl.textContent += ` — ${entry.manifest.description}`;
+  }
+}
+
+// --- Export / import (object bundles, see bundle.js) ---
+async function exportBundle() {
+  const bundle = await createBundle(entries);
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `objects-${bundle.exportedAt.slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  statusEl.textContent = `Exported ${Object.keys(bundle.entries).length} objects`;
+}
+
+async function importBundle(file) {
+  let result;
+  try {
+    result = await readBundle(await file.text());
+  } catch (e) {
+    statusEl.textContent = `Import failed: ${e.message}`;
+    return;
+  }
+  // Same gates as cache.set() and the spawn path: moderated keys, validated code
+  let imported = 0;
+  const blocked = [];
+  for (const [key, entry] of Object.entries(result.entries)) {
+    if (!isAllowedKey(key) || validateCode(entry.code).length > 0) {
+      blocked.push(key);
+      continue;
+    }
+    storeLocal(key, entry);
+    imported++;
+  }
+  await fetchEntries();
+  const notes = [];
+  if (result.rejected.length) notes.push(`${result.rejected.length} rejected, hash mismatch: ${result.rejected.join(', ')}`);
+  if (blocked.length) notes.push(`${blocked.length} blocked by moderation or the validator: ${blocked.join(', ')}`);
+  statusEl.textContent = `Imported ${imported} objects into the local cache` +
+    (notes.length ? ` (${notes.join('; ')})` : '');
+}
+
+// --- Cache analytics (recorded by the game, see cacheStats.js) ---
+const FAILURE_RATE_WARN = 0.25; // highlighted above this
+
+function renderStats() {
+  const rows = readCacheStats();
+  statsBody.innerHTML = '';
+  for (const r of rows) {
+    const tr = document.createElement('tr');
+    const cells = [
+      r.key,
+      r.requests,
+      LOOKUP_TIERS.map(t => r.tiers[t] ?? 0).join(' / '),
+      r.avgLatencyMs != null ? `${(r.avgLatencyMs / 1000).toFixed(1)} s (${r.generations})` : '—',
+      r.failureRate != null ? `${Math.round(r.failureRate * 100)}% (${r.failures})` : '—',
+      r.damagePerSpawn != null ? `${r.damagePerSpawn.toFixed(1)} (${r.spawns})` : '—',
+    ];
+    for (const value of cells) {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    if (r.failureRate > FAILURE_RATE_WARN) tr.children[4].className = 'bad';
+    if (entries[r.key]) tr.addEventListener('click', () => spawnEntry(r.key));
+    statsBody.appendChild(tr);
+  }
+
+  const requests = rows.reduce((sum, r) => sum + r.requests, 0);
+  const misses = rows.reduce((sum, r) => sum + (r.tiers.miss ?? 0), 0);
+  statsSummary.textContent = rows.length === 0
+    ? 'Nothing recorded yet — play the game in this browser'
+    : `${rows.length} keys · ${requests} requests · ${requests ? Math.round((1 - misses / requests) * 100) : 0}% cache hits`;
 }
 
 // --- Buttons ---
-btnRefresh.addEventListener('click', fetchEntries);
+btnRefresh.addEventListener('click', async () => {
+  await fetchEntries();
+  if (!statsPanel.hidden) renderStats();
+});
+btnStats.addEventListener('click', () => {
+  statsPanel.hidden = !statsPanel.hidden;
+  if (!statsPanel.hidden) renderStats();
+});
+btnStatsReset.addEventListener('click', () => {
+  clearCacheStats();
+  renderStats();
+});
+btnExport.addEventListener('click', exportBundle);
+btnImport.addEventListener('click', () => importInput.click());
+importInput.addEventListener('change', () => {
+  const [file] = importInput.files;
+  importInput.value = ''; // Allow importing the same file again
+  if (file) importBundle(file);
+});
 btnClear.addEventListener('click', () => {
   clearWorld();
   activeKey = null;
@@ -492,6 +657,7 @@ function loop() {
   }
 
   world.step(1 / 60, 8, 3);
+  explosions.update(1 / 60);
   cleanupOOB();
   draw();
   requestAnimationFrame(loop);
@@ -1,9 +1,20 @@
 import planck from 'planck';
 import { SCALE } from './constants.js';
 import { registerObject, unregisterObject } from './objects.js';
+import { createSandbox } from './sandbox.js';
+import { validateCode, CodeValidationError, MAX_SPAWN_BODIES, MAX_SPAWN_JOINTS } from './validator.js';
+import { NO_MODIFIERS, scaleObjects, timeScaleObjects, copyOffset } from './modifiers.js';
+import { MAX_EXPLOSIONS_PER_SEC } from './explosions.js';
 
 const MAX_EPHEMERAL = 400;
 
+// --- Updater watchdog ---
+const UPDATER_BUDGET_MS = 2;            // smoothed per-call cost before an updater gets throttled
+const UPDATER_KILL_MS = 50;             // a single call this slow kills the updater outright
+const MAX_THROTTLE_LEVEL = 4;           // throttled updaters run every 2^level frames; past this they're killed
+const THROTTLE_RECOVERY_RUNS = 120;     // cheap runs in a row before easing off one throttle level
+const MAX_UPDATE_BODIES_PER_SEC = 120;  // registered bodies an updater may create per second
+
 export function createExecutor(world) {
   const updaters = [];
   const ephemeral = []; // global ring buffer for bodies created during update()
@@ -14,23 +25,123 @@ export function createExecutor(world) {
   // Default getTarget returns null (no target)
   let targetProvider = () => null;
 
+  // Failures of code that came from the cache (see cache.js reportFailure)
+  let failureReporter = () => {};
+
+  // explode() calls from generated code (see explosions.js)
+  let explosionHandler = () => {};
+
   function setTargetProvider(fn) {
     targetProvider = fn;
   }
 
-  function execute(code, spawnX, spawnY, targetX = null, targetY = null) {
+  /**
+   * @param {Function} fn - (source, message, {fatal}) => void; called when code spawned
+   *   with a cache `source` throws at spawn (fatal) or its updater dies with an error
+   */
+  function setFailureReporter(fn) {
+    failureReporter = fn;
+  }
+
+  /**
+   * @param {Function} fn - (x, y, radius, power, source, {fromSandbox}) => void;
+   *   `fromSandbox` is set when the worker already pushed its own bodies
+   */
+  function setExplosionHandler(fn) {
+    explosionHandler = fn;
+  }
+
+  function reportFailure(source, message, fatal) {
+    if (source) failureReporter(source, message, { fatal });
+  }
+
+  // Worker-isolated execution for untrusted code (created lazily on first use)
+  const sandbox = createSandbox(world, W, H, (source, message) => reportFailure(source, message, false),
+    (x, y, radius, power, source) => explosionHandler(x, y, radius, power, source, { fromSandbox: true }));
+
+  // Static checks before anything runs. Parse failures keep the existing
+  // "Syntax error" message; every other rejection is a CodeValidationError.
+  // `count` copies share one spawn budget.
+  function validate(code, count = 1) {
+    const issues = validateCode(code, {
+      maxBodies: Math.floor(MAX_SPAWN_BODIES / count),
+      maxJoints: Math.floor(MAX_SPAWN_JOINTS / count),
+    });
+    if (issues.length === 0) return;
+    if (issues[0].rule === 'syntax') {
+      throw new Error(`Syntax error in generated code: ${issues[0].message.replace(/^Syntax error: /, '')}`);
+    }
+    throw new CodeValidationError(issues);
+  }
+
+  /**
+   * Run generated code in the page.
+   * @param {import('./modifiers.js').SpawnModifiers} [modifiers] - Count / scale / time scale
+   *   applied after the code runs (see modifiers.js)
+   * @param {import('./cache.js').VariantSource} [source] - Cache variant the code came from;
+   *   set as `cacheSource` in every body's user data so eye damage can be credited to it
+   */
+  function execute(code, spawnX, spawnY, targetX = null, targetY = null, modifiers = NO_MODIFIERS, source = null) {
+    const copies = [];
+    try {
+      validate(code, modifiers.count);
+      for (let i = 0; i < modifiers.count; i++) {
+        copies.push(spawnOne(code, spawnX + copyOffset(i, modifiers.count, modifiers.scale), spawnY, targetX, targetY, modifiers, source));
+      }
+    } catch (e) {
+      // Copies that did spawn go too, so a repaired retry doesn't double them up
+      for (const copy of copies) discardCopy(copy);
+      reportFailure(source, e.message, true);
+      throw e;
+    }
+  }
+
+  function discardCopy({ rootObjects, updater }) {
+    if (updater) updater.dead = true;
+    for (const obj of rootObjects) {
+      unregisterObject(obj);
+      try { world.destroyBody(obj.body); } catch (e) { /* Already destroyed */ }
+    }
+  }
+
+  /** @returns {{rootObjects: object[], updater: object|null}} What discardCopy() removes */
+  function spawnOne(code, spawnX, spawnY, targetX, targetY, modifiers, source) {
     let inUpdate = false;
     const rootBodies = []; // non-ephemeral bodies created by this execute() call
+    const rootObjects = []; // their registered objects (for the throttle indicator)
+
+    // Per-second creation budget for update(); over-budget bodies are culled
+    // right after the update call returns (destroying mid-call would break
+    // the generated code's references)
+    let budgetWindowStart = performance.now();
+    let createdThisWindow = 0;
+    const overBudget = [];
+    const createdInUpdate = []; // time-scaled once the update call returns
 
     function wrappedRegister(obj) {
       obj.spawned = true;
+      if (inUpdate) {
+        const now = performance.now();
+        if (now - budgetWindowStart >= 1000) {
+          budgetWindowStart = now;
+          createdThisWindow = 0;
+        }
+        if (++createdThisWindow > MAX_UPDATE_BODIES_PER_SEC) {
+          overBudget.push(obj.body);
+          return;
+        }
+      }
       registerObject(obj);
+      if (source) {
+        obj.body.setUserData({ ...obj.body.getUserData(), cacheSource: source });
+      }
       if (inUpdate) {
         obj.ephemeral = true;
         // Tag the body so suction can skip particles
         const ud = obj.body.getUserData() || {};
         ud.isEphemeral = true;
         obj.body.setUserData(ud);
+        createdInUpdate.push(obj);
         ephemeral.push(obj);
         if (ephemeral.length > MAX_EPHEMERAL) {
           const old = ephemeral.shift();
@@ -39,18 +150,34 @@ export function createExecutor(world) {
         }
       } else {
         rootBodies.push(obj.body);
+        rootObjects.push(obj);
       }
     }
 
-    // getTarget returns current enemy position (dynamic)
+    // getTarget returns current enemy position (dynamic); The Crash can
+    // redirect it once the object is corrupted (see redirectTarget)
+    let targetOverride = null;
     function getTarget() {
-      return targetProvider();
+      return (targetOverride && targetOverride()) || targetProvider();
+    }
+
+    // explode() is rate-limited per spawn so an updater can't blast every frame
+    let blastWindowStart = performance.now();
+    let blastsThisWindow = 0;
+    function explode(x, y, radius, power) {
+      const now = performance.now();
+      if (now - blastWindowStart >= 1000) {
+        blastWindowStart = now;
+        blastsThisWindow = 0;
+      }
+      if (++blastsThisWindow > MAX_EXPLOSIONS_PER_SEC) return;
+      explosionHandler(x, y, radius, power, source);
     }
 
     let fn;
     try {
       fn = new Function(
-        'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget',
+        'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget', 'explode',
         code,
       );
     } catch (e) {
@@ -59,48 +186,186 @@ export function createExecutor(world) {
 
     let result;
     try {
-      result = fn(planck, world, wrappedRegister, W, H, spawnX, spawnY, targetX, targetY, getTarget);
+      result = fn(planck, world, wrappedRegister, W, H, spawnX, spawnY, targetX, targetY, getTarget, explode);
     } catch (e) {
+      // Remove the half-built object so a repaired retry starts clean
+      for (const obj of rootObjects) {
+        unregisterObject(obj);
+        try { world.destroyBody(obj.body); } catch (err) { /* Already destroyed */ }
+      }
       throw new Error(`Runtime error in generated code: ${e.message}`);
     }
 
+    scaleObjects(rootObjects, { x: spawnX, y: spawnY }, modifiers.scale);
+    timeScaleObjects(rootObjects, modifiers.timeScale);
+
+    let updater = null;
     if (result && typeof result.update === 'function') {
       const origUpdate = result.update;
-      updaters.push({
+      updater = {
         dead: false,
         rootBodies,
+        cost: 0,          // smoothed ms per call
+        throttleLevel: 0, // 0 = every frame
+        frame: 0,
+        cheapRuns: 0,
+        clock: 0,         // accumulated update() calls owed at this time scale
+        redirect(fn) { targetOverride = fn; },
         update() {
           // Stop if ANY root body has been destroyed or consumed
-          // Use try-catch because destroyed bodies may throw when accessed
-          if (rootBodies.length > 0) {
-            const anyDeadOrConsumed = rootBodies.some(b => {
-              try {
-                // Check if body is consumed (marked by The Crash)
-                const ud = b.getUserData();
-                if (ud?.isConsumed) return true;
-                // Check if body is still in the world (getWorld returns null after destroy)
-                return !b.getWorld() || !b.isActive();
-              } catch (e) {
-                return true; // Body is invalid/destroyed
-              }
-            });
-            if (anyDeadOrConsumed) {
-              this.dead = true;
-              return;
-            }
+          if (rootGone()) {
+            this.dead = true;
+            return;
           }
+
+          // Throttled updaters skip frames
+          this.frame++;
+          if (this.frame % (1 << this.throttleLevel) !== 0) return;
+
+          // Slow-mo runs update() every other frame, turbo twice per frame
+          this.clock += modifiers.timeScale;
+          const calls = Math.floor(this.clock);
+          this.clock -= calls;
+          if (calls === 0) return;
+
           inUpdate = true;
+          const start = performance.now();
           try {
-            origUpdate();
+            for (let i = 0; i < calls; i++) origUpdate();
           } catch (e) {
             // If update throws (likely because body was destroyed mid-update), mark as dead
             console.warn('Updater error, marking dead:', e.message);
             this.dead = true;
+            // Dying with its object (consumed, corrupted, destroyed) isn't the code's fault
+            if (!rootGone()) reportFailure(source, `Updater error: ${e.message}`, false);
           }
+          const elapsed = performance.now() - start;
           inUpdate = false;
+
+          cullOverBudget();
+          timeScaleObjects(createdInUpdate, modifiers.timeScale);
+          createdInUpdate.length = 0;
+          watchdog(this, elapsed);
         },
+      };
+      updaters.push(updater);
+    }
+
+    // Has any root body been destroyed, or consumed / corrupted by The Crash?
+    function rootGone() {
+      return rootBodies.some(b => {
+        // Use try-catch because destroyed bodies may throw when accessed
+        try {
+          const ud = b.getUserData();
+          if (ud?.isConsumed || ud?.isCorrupted) return true;
+          // getWorld returns null after destroy
+          return !b.getWorld() || !b.isActive();
+        } catch (e) {
+          return true; // Body is invalid/destroyed
+        }
       });
     }
+
+    function cullOverBudget() {
+      if (overBudget.length === 0) return;
+      console.warn(`Updater exceeded ${MAX_UPDATE_BODIES_PER_SEC} bodies/sec, culling ${overBudget.length}`);
+      for (const body of overBudget) {
+        try { world.destroyBody(body); } catch (e) { /* Already destroyed */ }
+      }
+      overBudget.length = 0;
+    }
+
+    function setThrottled(v) {
+      for (const obj of rootObjects) obj.throttled = v;
+    }
+
+    /**
+     * Per-updater CPU accounting: throttle updaters whose smoothed cost
+     * exceeds the frame budget, kill ones that spike or can't be tamed.
+     */
+    function watchdog(u, elapsed) {
+      if (elapsed > UPDATER_KILL_MS) {
+        console.warn(`Updater took ${elapsed.toFixed(1)}ms, killing`);
+        u.dead = true;
+      }
+
+      u.cost = u.cost * 0.8 + elapsed * 0.2;
+
+      // Amortized per-frame cost at the current throttle rate
+      const perFrame = u.cost / (1 << u.throttleLevel);
+
+      if (perFrame > UPDATER_BUDGET_MS) {
+        u.cheapRuns = 0;
+        u.throttleLevel++;
+        if (u.throttleLevel > MAX_THROTTLE_LEVEL) {
+          console.warn('Updater still over budget at max throttle, killing');
+          u.dead = true;
+        } else {
+          console.warn(`Updater over budget (${u.cost.toFixed(1)}ms), throttling to every ${1 << u.throttleLevel} frames`);
+        }
+      } else if (u.throttleLevel > 0 && perFrame * 2 <= UPDATER_BUDGET_MS) {
+        // Would fit the budget one level down — ease off after a sustained run
+        if (++u.cheapRuns >= THROTTLE_RECOVERY_RUNS) {
+          u.cheapRuns = 0;
+          u.throttleLevel--;
+        }
+      } else {
+        u.cheapRuns = 0;
+      }
+
+      setThrottled(!u.dead && u.throttleLevel > 0);
+    }
+
+    return { rootObjects, updater };
+  }
+
+  /**
+   * Point getTarget() of the object that owns `body` somewhere else. `fn`
+   * returns a position, or null to fall back to the normal target.
+   * Sandboxed objects aren't covered (the worker gets one shared target).
+   * @returns {boolean} Whether a live updater was redirected
+   */
+  function redirectTarget(body, fn) {
+    const u = updaters.find(u => !u.dead && u.rootBodies.includes(body));
+    if (!u) return false;
+    u.redirect(fn);
+    return true;
+  }
+
+  /**
+   * Run untrusted code (e.g. another player's Firebase entry) in the sandbox
+   * worker. Only planck, registerObject, getTarget and the spawn parameters
+   * are reachable; bodies are mirrored into the real world each frame.
+   * @returns {Promise} - Rejects with a "Syntax error…" / "Runtime error…" message
+   */
+  function executeSandboxed(code, spawnX, spawnY, targetX = null, targetY = null, modifiers = NO_MODIFIERS, source = null) {
+    try {
+      validate(code, modifiers.count);
+    } catch (e) {
+      reportFailure(source, e.message, true);
+      return Promise.reject(e);
+    }
+    const copies = [];
+    for (let i = 0; i < modifiers.count; i++) {
+      const x = spawnX + copyOffset(i, modifiers.count, modifiers.scale);
+      copies.push(sandbox.execute(code, x, spawnY, targetX, targetY, modifiers, source));
+    }
+    return Promise.allSettled(copies).then((results) => {
+      const failed = results.find(r => r.status === 'rejected');
+      if (!failed) return;
+      // Same as execute(): no surviving copies for the repaired retry to double up
+      sandbox.discard(results.filter(r => r.status === 'fulfilled').map(r => r.value));
+      reportFailure(source, failed.reason.message, true);
+      throw failed.reason;
+    });
+  }
+
+  /**
+   * Push sandboxed body state into the real world. Call once per frame,
+   * before world.step().
+   */
+  function syncSandbox() {
+    sandbox.sync(targetProvider());
   }
 
   function getUpdaters() {
@@ -128,7 +393,9 @@ export function createExecutor(world) {
       u.dead = true;
     }
     updaters.length = 0;
+
+    sandbox.clear();
   }
 
-  return { execute, getUpdaters, setTargetProvider, clearAll };
+  return { execute, executeSandboxed, syncSandbox, getUpdaters, setTargetProvider, redirectTarget, setFailureReporter, setExplosionHandler, clearAll };
 }
@@ -0,0 +1,158 @@
+import planck from 'planck';
+import { SCALE } from './constants.js';
+
+/**
+ * Explosions — the `explode(x, y, radius, power)` call generated code gets
+ * next to getTarget().
+ *
+ * `power` is the impulse (N·s) a body at the very center would get; it falls
+ * off linearly to nothing at `radius`. The Crash listens (onExplode) and
+ * takes the same falloff as damage on its eye. The blast physics and the
+ * visual live here so the game, the sandbox worker and dev.html share them.
+ */
+
+export const MAX_EXPLOSION_RADIUS = 25;        // meters
+export const MAX_EXPLOSION_POWER = 1500;       // N·s at the center
+export const MAX_EXPLOSIONS_PER_SEC = 2;       // per spawned object; extra calls are ignored
+const EXPLOSION_TIME = 0.6;                    // seconds the visual lasts
+
+/**
+ * Clamp an explode() call; null if the arguments aren't usable.
+ * @returns {{x: number, y: number, radius: number, power: number}|null}
+ */
+export function normalizeBlast(x, y, radius, power) {
+  if (![x, y, radius, power].every(Number.isFinite) || radius <= 0 || power <= 0) return null;
+  return {
+    x,
+    y,
+    radius: Math.min(radius, MAX_EXPLOSION_RADIUS),
+    power: Math.min(power, MAX_EXPLOSION_POWER),
+  };
+}
+
+/**
+ * Push every dynamic body within the blast outward. Skips the cursor,
+ * Gemini and The Crash.
+ * @param {object} [opts]
+ * @param {boolean} [opts.skipSandboxed] - Leave sandbox proxies alone (the worker pushed the originals)
+ * @returns {number} Bodies pushed
+ */
+export function applyBlast(world, { x, y, radius, power }, { skipSandboxed = false } = {}) {
+  const box = new planck.AABB(new planck.Vec2(x - radius, y - radius), new planck.Vec2(x + radius, y + radius));
+  const bodies = new Set();
+  world.queryAABB(box, (fixture) => {
+    const body = fixture.getBody();
+    const ud = body.getUserData();
+    if (body.getType() !== 'dynamic' || ud?.isCursor || ud?.isGeminiIcon || ud?.isCrash) return true;
+    if (!(skipSandboxed && ud?.isSandboxed)) bodies.add(body);
+    return true;
+  });
+
+  let pushed = 0;
+  for (const body of bodies) {
+    const c = body.getWorldCenter();
+    const dx = c.x - x;
+    const dy = c.y - y;
+    const dist = Math.hypot(dx, dy);
+    if (dist >= radius) continue;
+    const impulse = power * (1 - dist / radius);
+    // Dead center: straight up
+    const nx = dist > 0.01 ? dx / dist : 0;
+    const ny = dist > 0.01 ? dy / dist : -1;
+    body.applyLinearImpulse(new planck.Vec2(nx * impulse, ny * impulse), c, true);
+    pushed++;
+  }
+  return pushed;
+}
+
+/**
+ * Blasts in the real world, plus the live visuals.
+ */
+export function createExplosions(world) {
+  const active = []; // { x, y, radius, power, age }
+  const listeners = [];
+
+  /**
+   * @param {object} [source] - Cache variant of the object that exploded (see cache.js)
+   * @param {object} [opts]
+   * @param {boolean} [opts.fromSandbox] - Came from the sandbox worker, which already
+   *   pushed its own bodies; only the rest of the world is pushed here
+   */
+  function explode(x, y, radius, power, source = null, { fromSandbox = false } = {}) {
+    const blast = normalizeBlast(x, y, radius, power);
+    if (!blast) return;
+    applyBlast(world, blast, { skipSandboxed: fromSandbox });
+    active.push({ ...blast, age: 0 });
+    for (const fn of listeners) fn({ ...blast, source });
+  }
+
+  /** Subscribe to blasts: fn({x, y, radius, power, source}) */
+  function onExplode(fn) {
+    listeners.push(fn);
+  }
+
+  function update(dt) {
+    for (let i = active.length - 1; i >= 0; i--) {
+      active[i].age += dt;
+      if (active[i].age > EXPLOSION_TIME) active.splice(i, 1);
+    }
+  }
+
+  return {
+    explode,
+    onExplode,
+    update,
+    clear() { active.length = 0; },
+    /** Live blasts; `t` runs 0 → 1 over the visual */
+    getActive() { return active.map(e => ({ x: e.x, y: e.y, radius: e.radius, power: e.power, t: e.age / EXPLOSION_TIME })); },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Visual
+// ---------------------------------------------------------------------------
+
+/**
+ * Flash, fireball and shock ring for each blast from getActive(). Drawn in
+ * world space (meters × SCALE).
+ */
+export function drawExplosions(ctx, explosions) {
+  if (explosions.length === 0) return;
+
+  ctx.save();
+  for (const e of explosions) {
+    const x = e.x * SCALE;
+    const y = e.y * SCALE;
+    const r = e.radius * SCALE;
+    const fade = 1 - e.t;
+
+    // Shock ring racing out to the blast radius
+    ctx.beginPath();
+    ctx.arc(x, y, r * Math.min(1, e.t * 2.5), 0, Math.PI * 2);
+    ctx.strokeStyle = `rgba(255, 220, 150, ${fade * 0.8})`;
+    ctx.lineWidth = 2 + 6 * fade;
+    ctx.stroke();
+
+    // Fireball: grows fast, then shrinks and fades
+    const fireR = r * 0.6 * Math.sin(Math.min(1, e.t * 1.6) * Math.PI);
+    if (fireR > 0) {
+      const grad = ctx.createRadialGradient(x, y, 0, x, y, fireR);
+      grad.addColorStop(0, `rgba(255, 255, 220, ${fade})`);
+      grad.addColorStop(0.4, `rgba(255, 170, 40, ${fade * 0.9})`);
+      grad.addColorStop(1, 'rgba(200, 40, 0, 0)');
+      ctx.beginPath();
+      ctx.arc(x, y, fireR, 0, Math.PI * 2);
+      ctx.fillStyle = grad;
+      ctx.fill();
+    }
+
+    // Initial white flash
+    if (e.t < 0.15) {
+      ctx.beginPath();
+      ctx.arc(x, y, r * 0.35, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(255, 255, 255, ${1 - e.t / 0.15})`;
+      ctx.fill();
+    }
+  }
+  ctx.restore();
+}
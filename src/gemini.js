@@ -1,19 +1,16 @@
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-// Primary: gemini-3-pro-preview for code generation
-const PRIMARY_URL =
-  `https://generativelanguage.googleapis.com/v1beta/models/gemini-3-pro-preview:generateContent?key=${API_KEY}`;
-// Fallback: gemini-2.5-pro if primary fails
-const FALLBACK_URL =
-  `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent?key=${API_KEY}`;
-// Flash for normalization (cheap, fast)
-const FLASH_URL =
-  `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${API_KEY}`;
+import { getProvider } from './llm/provider.js';
+import { CATEGORIES, parseEnvelope, partialEnvelopeCode } from './manifest.js';
+import { CURATED_OBJECTS } from './curatedCache.js';
+import { normalizeLocally } from './localNormalizer.js';
+import { recordFailure, recordGeneration } from './cacheStats.js';
 
 const SYSTEM_PROMPT = `You generate planck.js code for a Box2D physics game. The objective is to create objects that destroy the enemy. Return ONLY executable JS — no markdown, no comments, no blank lines.
 Machine-executed only. Maximize conciseness: single-letter vars, inline everything, only create a variable if referenced more than once.
 
-Available: planck, world, registerObject(obj), W, H, spawnX, spawnY, getTarget()
+Available: planck, world, registerObject(obj), W, H, spawnX, spawnY, getTarget(), explode(x,y,radius,power)
 getTarget() returns {x,y} of enemy position for aiming. Use it for homing/aiming.
+explode(x,y,radius,power) blasts everything within radius (max 25) away and damages the enemy if it's in range; power = impulse at the center (300-1000 typical, max 1500), fading to 0 at radius.
+BOMBS/MISSILES/GRENADES/MINES: in update, once the body is within ~4 of getTarget() (or after a fuse timer), call explode at its position ONCE (guard with a flag) — e.g. if(!e&&dist<4){e=1;var p=b.getPosition();explode(p.x,p.y,12,800)}.
 Gravity: (0, 40), positive Y = down. World ~320×180m.
 AIMING TIP: Bullets drop due to gravity! For accurate hits, compensate: flightTime=dist/speed, drop=0.5*40*flightTime^2, aim at (target.y - drop).
 LEFT-FACING BARRELS: Since objects face LEFT, barrels should extend LEFT from pivot. For such barrels: (1) aiming angle = atan2(dy,dx) - Math.PI, (2) bullet velocity = (-cos(angle)*speed, -sin(angle)*speed), (3) spawn bullet from getWorldPoint with negative X offset.
@@ -25,10 +22,15 @@ For continuous behavior: return {update:function(){}} (called 60fps).
 Objects spawn RIGHT side, should FACE and MOVE LEFT.
 IMPORTANT - Densities: Use VERY LOW densities (0.5-1.5 typical, max 3). Projectiles should be especially light (density 1-2).
 IMPORTANT - Bullet velocities: Use moderate speeds (70-100 typical). Balance speed with physics feel.
+Fast projectiles: create with bullet:true. Bombs/grenades/warheads: b.setUserData({explosive:true}) before registerObject. Both hit harder.
 If input is gibberish: throw new Error("Cannot understand request");
 Be CREATIVE — use multiple bodies + joints. Don't just make a single shape. Include bullets and projectiles if plausible.
 
-EXAMPLES:
+RESPONSE FORMAT: reply with ONE JSON object, keys in this order:
+{"name":"<display name, 1-3 words>","category":"<one of: ${CATEGORIES.join(', ')}>","bodies":<number of bodies created at spawn>,"description":"<one short sentence>","code":"<the JS, as a JSON string>"}
+The code rules above apply to the "code" value. Gibberish still goes in "code".
+
+EXAMPLES (code value only):
 User: "ball"
 var b=world.createBody({type:'dynamic',position:planck.Vec2(spawnX,spawnY)});b.createFixture(planck.Circle(2),{density:1.2,friction:.3,restitution:.9});registerObject({body:b,type:'circle',radius:2,color:'#e94560'});
 
@@ -42,60 +44,28 @@ User: "asdfghjk"
 throw new Error("Cannot understand request");
 `;
 
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // ms
-const FETCH_TIMEOUT = 60000; // 60 seconds timeout
+// How many times failing code is sent back for a fix (override with VITE_MAX_REPAIR_ATTEMPTS,
+// clamped to 0-5; anything unparseable falls back to the default)
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const REPAIR_ATTEMPTS_CAP = 5;
+export const MAX_REPAIR_ATTEMPTS = parseRepairAttempts(import.meta.env.VITE_MAX_REPAIR_ATTEMPTS);
 
-async function fetchWithTimeout(url, options, timeout = FETCH_TIMEOUT) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  try {
-    const response = await fetch(url, { ...options, signal: controller.signal });
-    return response;
-  } finally {
-    clearTimeout(timeoutId);
-  }
+function parseRepairAttempts(value) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n)) return DEFAULT_REPAIR_ATTEMPTS;
+  return Math.min(REPAIR_ATTEMPTS_CAP, Math.max(0, n));
 }
 
-async function fetchWithRetry(url, options) {
-  let lastStatus = null;
-  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-    try {
-      const response = await fetchWithTimeout(url, options);
-      if (response.ok) return response;
-      lastStatus = response.status;
-      if (response.status === 503 || response.status === 429) {
-        console.warn(`API overloaded (${response.status}), retry ${attempt + 1}/${MAX_RETRIES}...`);
-        await new Promise(r => setTimeout(r, RETRY_DELAY * (attempt + 1)));
-        continue;
-      }
-      return response; // non-retryable error
-    } catch (e) {
-      if (e.name === 'AbortError') {
-        console.warn(`Request timeout, retry ${attempt + 1}/${MAX_RETRIES}...`);
-        if (attempt === MAX_RETRIES - 1) throw new Error('Request timed out after multiple attempts');
-        continue;
-      }
-      throw e;
-    }
-  }
-  // After all retries exhausted for 503/429, throw a clear error
-  if (lastStatus === 503 || lastStatus === 429) {
-    const msg = lastStatus === 429
-      ? 'Gemini API rate limit exceeded. Try again in a moment.'
-      : 'Gemini API is overloaded. Try again in a moment.';
-    throw new Error(msg);
-  }
-  return fetchWithTimeout(url, options); // final attempt for other cases
-}
+// Gibberish sentinel from SYSTEM_PROMPT — seeing it mid-stream ends the request early
+const GIBBERISH_MARKER = 'Cannot understand request';
 
 const conversationHistory = [];
 
 function stripCodeFences(text) {
   let code = text.trim();
-  const fenceMatch = code.match(/```(?:javascript|js)?\s*\n([\s\S]*?)```/i);
+  const fenceMatch = code.match(/```(?:javascript|js|json)?\s*\n([\s\S]*?)```/i);
   if (fenceMatch) code = fenceMatch[1];
-  code = code.replace(/^```(?:javascript|js)?\s*\n?/i, '').replace(/\n?```\s*$/i, '');
+  code = code.replace(/^```(?:javascript|js|json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '');
   const lines = code.split('\n');
   let startIdx = 0;
   for (let i = 0; i < lines.length; i++) {
@@ -108,61 +78,37 @@ function stripCodeFences(text) {
   return lines.slice(startIdx).join('\n').trim();
 }
 
-// Known curated cache keys - normalizer should prefer these exact terms
-const CURATED_KEYS = [
-  'catapult', 'helicopter', 'rain', 'cloud', 'train', 'tank', 'ball', 'car',
-  'cannon', 'rocket', 'bomb', 'boulder', 'missile', 'turret', 'wrecking ball', 'meteor',
-  'butterfly', 'robot', 'virus'
-];
+// Known curated cache keys (including promoted packs) - normalizer should prefer these exact terms
+const CURATED_KEYS = Object.keys(CURATED_OBJECTS);
 
 /**
- * Cheap Gemini Flash call to normalize any user prompt into a 1-2 word
- * lowercase cache key (e.g. "give me something that creates rain" → "rain").
- * Prefers curated cache keys when the input matches or is a synonym.
+ * Normalize any user prompt into a 1-2 word lowercase cache key
+ * (e.g. "give me something that creates rain" → "rain"). The offline
+ * normalizer runs first; when it confidently lands on a known key the LLM
+ * call is skipped. Otherwise the active provider decides, preferring curated
+ * keys, and if it fails the offline guess is used.
+ * @param {string} userPrompt
+ * @param {object} [opts]
+ * @param {AbortSignal} [opts.signal] - Cancels the request (rejects with an AbortError)
+ * @param {string[]} [opts.knownKeys] - Cached keys beyond the curated ones
  */
-export async function normalizePrompt(userPrompt) {
-  const keysList = CURATED_KEYS.join(', ');
-  const response = await fetchWithRetry(FLASH_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{
-        role: 'user',
-        parts: [{ text: `Reduce this to a 1-2 word object name. Lowercase, no punctuation. Reply with ONLY the word(s), nothing else.
-
-If the input is a TYPO or DIRECT SYNONYM of one of these keys, return that key: ${keysList}
-Otherwise, return the actual object name the user asked for.
-
-ONLY map to curated keys for true equivalents:
-- "trian" → "train" (typo)
-- "locomotive" → "train" (same thing)
-- "chopper" → "helicopter" (same thing)
-- "heli" → "helicopter" (abbreviation)
-- "armored vehicle" → "tank" (same thing)
-
-Do NOT force unrelated things to curated keys:
-- "butterfly" → "butterfly" (NOT "ball")
-- "dragon" → "dragon" (NOT any curated key)
-- "spaceship" → "spaceship" (NOT "rocket")
-
-"${userPrompt}"` }],
-      }],
-      generationConfig: { temperature: 0, maxOutputTokens: 16 },
-    }),
-  });
-
-  if (!response.ok) {
-    // Fall back to simple lowercase trim if the API fails
-    return userPrompt.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+export async function normalizePrompt(userPrompt, opts = {}) {
+  const local = normalizeLocally(userPrompt, [...CURATED_KEYS, ...(opts.knownKeys ?? [])]);
+  if (local.confident) {
+    console.log('[Normalize] Local:', userPrompt, '→', local.key);
+    return local.key;
   }
 
-  const data = await response.json();
-  const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-  if (!text) return userPrompt.trim().toLowerCase();
-  return text.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+  try {
+    return await getProvider().normalize(userPrompt, CURATED_KEYS, { signal: opts.signal });
+  } catch (e) {
+    if (opts.signal?.aborted) throw e;
+    console.warn('[Normalize] Provider failed, using offline guess:', e.message);
+    return local.key;
+  }
 }
 
-export async function generateObject(userPrompt) {
+function ensureSystemPrompt() {
   if (conversationHistory.length === 0) {
     conversationHistory.push({
       role: 'user',
@@ -173,80 +119,177 @@ export async function generateObject(userPrompt) {
       parts: [{ text: 'ready' }],
     });
   }
+}
 
-  conversationHistory.push({
-    role: 'user',
-    parts: [{ text: `Create: "${userPrompt}"` }],
-  });
-
-  const requestBody = JSON.stringify({
-    contents: conversationHistory,
+/**
+ * Send a request thread (a snapshot of conversationHistory whose last turn is
+ * the pending user request) and return the model's code. Each request works
+ * on its own thread so several can run in parallel; only a completed
+ * user/model pair is appended to the shared history.
+ * @param {object[]} thread
+ * @param {object} [opts]
+ * @param {Function} [opts.onToken] - (partialCode) => void; streams the response when set
+ * @param {AbortSignal} [opts.signal] - Cancels the request (rejects with an AbortError)
+ */
+async function requestCode(thread, opts = {}) {
+  // Model fallback chain lives in the provider (see llm/geminiProvider.js)
+  const provider = getProvider();
+  const requestOptions = {
     generationConfig: {
       temperature: 0.8,
       maxOutputTokens: 16384,
+      responseMimeType: 'application/json',
     },
-  });
-
-  const requestOptions = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: requestBody,
+    signal: opts.signal,
   };
 
-  // Try primary model first (gemini-3-pro-preview), fall back to gemini-2.5-pro
-  let response;
-  let usedFallback = false;
-
+  let result;
+  let gibberish = false;
+  let onAbort = null;
   try {
-    response = await fetchWithRetry(PRIMARY_URL, requestOptions);
-    if (!response.ok) {
-      throw new Error(`Primary model HTTP ${response.status}`);
+    if (opts.onToken && provider.stream) {
+      // Own controller so a gibberish reply can stop the stream; the caller's signal chains into it
+      const controller = new AbortController();
+      onAbort = () => controller.abort();
+      opts.signal?.addEventListener('abort', onAbort, { once: true });
+      requestOptions.signal = controller.signal;
+      result = await provider.stream(thread, requestOptions, (text) => {
+        if (gibberish) return;
+        if (text.includes(GIBBERISH_MARKER)) {
+          gibberish = true;
+          controller.abort();
+          return;
+        }
+        opts.onToken(partialEnvelopeCode(stripCodeFences(text)));
+      });
+    } else {
+      result = await provider.generate(thread, requestOptions);
     }
-  } catch (primaryErr) {
-    console.warn(`Primary model failed: ${primaryErr.message}, trying fallback (gemini-2.5-pro)...`);
-    usedFallback = true;
-    try {
-      response = await fetchWithRetry(FALLBACK_URL, requestOptions);
-    } catch (fallbackErr) {
-      conversationHistory.pop();
-      throw new Error('Both Gemini models failed. Try again in a moment.');
-    }
-  }
-
-  if (!response.ok) {
-    conversationHistory.pop();
-    if (response.status === 429) {
-      throw new Error('Gemini API rate limit exceeded. Try again in a moment.');
-    }
-    if (response.status === 503) {
-      throw new Error('Gemini API is overloaded. Try again in a moment.');
-    }
-    const err = await response.text();
-    throw new Error(`Gemini API error (${response.status}): ${err}`);
+  } catch (e) {
+    if (gibberish) throw new Error(GIBBERISH_MARKER);
+    throw e;
+  } finally {
+    // The caller's signal outlives this request (repairs reuse it), so unchain it
+    if (onAbort) opts.signal?.removeEventListener('abort', onAbort);
   }
 
-  const data = await response.json();
-  const candidate = data.candidates?.[0];
-  const text = candidate?.content?.parts?.[0]?.text;
+  const { text, finishReason, model, usedFallback } = result;
   if (!text) {
-    conversationHistory.pop();
     throw new Error('Gemini returned empty response');
   }
 
-  if (candidate.finishReason === 'MAX_TOKENS') {
-    conversationHistory.pop();
+  if (finishReason === 'MAX_TOKENS') {
     throw new Error('Gemini response was truncated (code too long). Try a simpler request.');
   }
 
-  const modelUsed = usedFallback ? 'gemini-2.5-pro (fallback)' : 'gemini-3-pro-preview';
-  console.log(`[Gemini raw response - ${modelUsed}]`, text);
+  console.log(`[Gemini raw response - ${model}${usedFallback ? ' (fallback)' : ''}]`, text);
 
-  conversationHistory.push({
-    role: 'model',
-    parts: [{ text }],
-  });
+  const modelTurn = { role: 'model', parts: [{ text }] };
+  conversationHistory.push(thread[thread.length - 1], modelTurn);
+  thread.push(modelTurn);
 
-  const code = stripCodeFences(text);
+  const { code, manifest } = parseEnvelope(stripCodeFences(text));
   console.log('[Gemini stripped code]', code);
-  return { code, usedFallback };
+  if (manifest) console.log('[Gemini manifest]', manifest);
+  return { code, manifest, usedFallback, thread };
+}
+
+/**
+ * Generate code for a prompt.
+ * @param {string} userPrompt
+ * @param {object} [opts]
+ * @param {Function} [opts.onToken] - (partialCode) => void, called as the response streams in.
+ *   A gibberish rejection is detected mid-stream and thrown without waiting for the rest.
+ * @param {AbortSignal} [opts.signal] - Cancels the request (rejects with an AbortError)
+ * @param {string} [opts.key] - Cache key the result is stored under; latency and failures
+ *   are recorded against it (see cacheStats.js)
+ * @returns {Promise<{code: string, manifest: import('./manifest.js').ObjectManifest|null, usedFallback: boolean, thread: object[]}>}
+ */
+export async function generateObject(userPrompt, opts = {}) {
+  ensureSystemPrompt();
+
+  const thread = [...conversationHistory, {
+    role: 'user',
+    parts: [{ text: `Create: "${userPrompt}"` }],
+  }];
+
+  const statsKey = opts.key ?? userPrompt;
+  const started = performance.now();
+  try {
+    const result = await requestCode(thread, opts);
+    recordGeneration(statsKey, performance.now() - started);
+    return result;
+  } catch (e) {
+    if (!opts.signal?.aborted) recordFailure(statsKey);
+    throw e;
+  }
+}
+
+/**
+ * Ask Gemini to fix code it produced earlier in this conversation.
+ * @param {string} code - The rejected or failing code
+ * @param {string} reason - Why it was rejected (validator issues or the thrown error)
+ * @param {object} [opts] - Same as generateObject(), plus:
+ * @param {object[]} [opts.thread] - Thread of the result being repaired (defaults to the shared history)
+ * @returns {Promise<{code: string, manifest: import('./manifest.js').ObjectManifest|null, usedFallback: boolean, thread: object[]}>}
+ */
+export async function repairObject(code, reason, opts = {}) {
+  ensureSystemPrompt();
+
+  const thread = [...(opts.thread ?? conversationHistory), {
+    role: 'user',
+    parts: [{ text: `Your code was rejected: ${reason}\nFailing code:\n${code}\nReturn a corrected version. Same rules and JSON format.` }],
+  }];
+
+  return requestCode(thread, opts);
+}
+
+/**
+ * Errors worth sending back to Gemini: validator rejections and the
+ * executor's syntax/runtime failures. Gibberish rejections are deliberate.
+ */
+function isRepairableError(e) {
+  if (e?.name === 'CodeValidationError') return true;
+  const msg = e?.message || '';
+  if (msg.includes(GIBBERISH_MARKER)) return false;
+  return msg.startsWith('Syntax error in generated code') || msg.startsWith('Runtime error in generated code');
+}
+
+/**
+ * Self-repair loop: run `attempt` on generated code and, when it fails with a
+ * repairable error, send the failing code plus the error back into the
+ * conversation and retry with the corrected version.
+ * @param {{code: string, manifest: object|null, usedFallback: boolean}} initial - Result of generateObject()
+ * @param {Function} attempt - async (result) => any; throws on failure
+ * @param {object} [opts]
+ * @param {number} [opts.maxAttempts=MAX_REPAIR_ATTEMPTS] - Repair round-trips before giving up
+ * @param {Function} [opts.onRepair] - (error, attemptNumber) => void, called before each repair request
+ * @param {Function} [opts.onToken] - Streams repair responses (see generateObject)
+ * @param {AbortSignal} [opts.signal] - Cancels pending repair requests
+ * @param {string} [opts.key] - Cache key; giving up counts as a failure for it (see cacheStats.js)
+ * @returns {Promise<{code: string, manifest: object|null, usedFallback: boolean}>} - The result that finally succeeded
+ */
+export async function withRepair(initial, attempt, opts = {}) {
+  const maxAttempts = opts.maxAttempts ?? MAX_REPAIR_ATTEMPTS;
+  let result = initial;
+  for (let i = 0; ; i++) {
+    try {
+      await attempt(result);
+      return result;
+    } catch (e) {
+      if (i >= maxAttempts || !isRepairableError(e)) {
+        if (opts.key && !opts.signal?.aborted) recordFailure(opts.key);
+        throw e;
+      }
+      console.warn(`[Repair] Attempt ${i + 1}/${maxAttempts}:`, e.message);
+      opts.onRepair?.(e, i + 1);
+      const previous = result;
+      result = await repairObject(result.code, e.message, {
+        onToken: opts.onToken,
+        signal: opts.signal,
+        thread: result.thread,
+      });
+      if (!result.manifest) result.manifest = previous.manifest;
+    }
+  }
 }
@@ -78,6 +78,10 @@ export function createGeminiIcon(world, canvas) {
   // Hold position state (keeps Gemini in place, ignoring mouse)
   let holdPosition = null;
 
+  // Corrupted by a Crash projectile: drifts instead of following the mouse
+  let corruptedUntil = 0;
+  const CORRUPT_DRAG = 0.96; // velocity kept per frame while drifting
+
   // Idle floating motion — gentle figure-8-ish bob
   let t = 0;
   const BOB_AMP_X = 1.8;  // meters of horizontal sway
@@ -92,6 +96,7 @@ export function createGeminiIcon(world, canvas) {
     if (!obj.visible) return;
 
     t += 1 / 60;
+    if (obj.corrupted && Date.now() >= corruptedUntil) obj.corrupted = false;
 
     // Flourish entrance animation - scale up in place
     if (obj.flourishStartTime > 0) {
@@ -161,6 +166,12 @@ export function createGeminiIcon(world, canvas) {
       return;
     }
 
+    if (obj.corrupted) {
+      const vel = body.getLinearVelocity();
+      body.setLinearVelocity(new planck.Vec2(vel.x * CORRUPT_DRAG, vel.y * CORRUPT_DRAG));
+      return;
+    }
+
     const bobX = Math.sin(t * BOB_FREQ_X * Math.PI * 2) * BOB_AMP_X;
     const bobY = Math.sin(t * BOB_FREQ_Y * Math.PI * 2) * BOB_AMP_Y;
 
@@ -193,10 +204,12 @@ export function createGeminiIcon(world, canvas) {
       obj.showSpeech = true;
       obj.speechText = text;
       obj.speechLabel = options?.label || null;
+      obj.speechShowEnd = options?.showEnd || false;
     } else {
       obj.showSpeech = false;
       obj.speechText = '';
       obj.speechLabel = null;
+      obj.speechShowEnd = false;
     }
   }
 
@@ -204,6 +217,7 @@ export function createGeminiIcon(world, canvas) {
     obj.showSpeech = false;
     obj.speechText = '';
     obj.speechLabel = null;
+    obj.speechShowEnd = false;
   }
 
   /**
@@ -232,6 +246,14 @@ export function createGeminiIcon(world, canvas) {
     holdPosition = null;
   }
 
+  /**
+   * Stop following the mouse for a while (hit by a Crash projectile)
+   */
+  function corrupt(seconds) {
+    obj.corrupted = true;
+    corruptedUntil = Date.now() + seconds * 1000;
+  }
+
   return {
     body,
     obj,
@@ -244,6 +266,7 @@ export function createGeminiIcon(world, canvas) {
     flyTo,
     cancelFlyTo,
     releaseHold,
+    corrupt,
     isVisible() { return obj.visible; },
   };
 }
@@ -49,8 +49,9 @@ export function createGooglePage(world) {
   const W = window.innerWidth / SCALE;
   const H = window.innerHeight / SCALE;
 
-  // Lucky button reference (needed for main.js click handler)
+  // Lucky button and Settings link references (needed for main.js click handlers)
   let luckyButton = null;
+  let settingsLink = null;
 
   // Logo letter configs
   const logoLetters = [
@@ -260,8 +261,10 @@ export function createGooglePage(world) {
     const rightSpacing = 14;
     for (let i = 0; i < rightLinks.length; i++) {
       const hw = rightLinks[i].length * 0.5 + 0.5;
+      const body = createStaticBody(world, rightStart + i * rightSpacing, H - 5, hw, 1.2, 3);
+      if (rightLinks[i] === 'Settings') settingsLink = body;
       registerObject({
-        body: createStaticBody(world, rightStart + i * rightSpacing, H - 5, hw, 1.2, 3),
+        body,
         type: 'textlink',
         hw,
         hh: 1.2,
@@ -273,6 +276,7 @@ export function createGooglePage(world) {
 
   return {
     getLuckyButton: () => luckyButton,
+    getSettingsLink: () => settingsLink,
     logoLetterCount: logoLetters.length,
     spawnFooter,
     spawnLogoLetter,
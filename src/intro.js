@@ -17,6 +17,7 @@ const HITBOX_OFFSET_Y = -5 / SCALE;
 // ─── Timeline (milliseconds) ───────────────────────────────────────────────
 const T = {
   GEMINI_APPEAR: 0,       // Gemini visible immediately
+  PREFETCH: 500,          // Background cache warm-up starts (after first paint)
   GEMINI_GREETING: 1500,  // After flourish, Gemini says hi
   DINO_SPAWN: 2000,       // Dino enters from left
   SEARCH_BAR_SPAWN: 3000, // Search bar appears
@@ -44,7 +45,12 @@ const trexImage = new Image();
 trexImage.src = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAhAAAABeAgMAAAAPo8UvAAAADFBMVEX///9TU1P39/f///+TS9URAAAAAXRSTlMAQObYZgAAASdJREFUeF7t1qFOBEEQRdEyGP7vGQy/hsHc/0MPSe8ylU2vKEIqqQnviRZXdI7pyUQuONda901FGAG6j8aa+6mDEUboHP01sk5EHHWEjt/UY0dk/U+Ir/cdkXUEovV1GFF/HQMR/mLWEUYYYQRrf65XRhgB2595Y80lYRjCCG7AV/IZ0FdDabgDhiKMgE+tAX01ES+ajDBCADpHZw0tRdaZCCNEGhCdNSSlQTEVYUROQGeNxxoxH2EErXU+wohdQXONqyBorDsixiB2Be01JiOM2BXQX1MRUxFGpAL6aypiMsIIJCFBtSK98fFYKd6wFDEbYUQgEYh6hTSkonbDDTAdYQTrKNd9QPWGUFwAYYRYR7U+XemGfB0ajTACWEe1Pl3thtxMhBHfOCEbEnR2KZcAAAAASUVORK5CYII=';
 
 // ─── Public factory ────────────────────────────────────────────────────────
-export function createIntro(world, canvas, healthBar, geminiIcon, searchBar, googlePage) {
+/**
+ * @param {object} [opts]
+ * @param {() => Promise<any>} [opts.prefetch] - Background work to start during the
+ *   intro (popular cache entries); failures are logged and ignored
+ */
+export function createIntro(world, canvas, healthBar, geminiIcon, searchBar, googlePage, opts = {}) {
   const W = canvas.width / SCALE;
   const H = canvas.height / SCALE;
 
@@ -59,6 +65,7 @@ export function createIntro(world, canvas, healthBar, geminiIcon, searchBar, goo
   let searchBarFlung = false;
   let crashTriggered = false;
   let geminiGreeted = false;
+  let prefetchStarted = false;
 
   // Screen shake state
   let shakeIntensity = 0;
@@ -221,6 +228,12 @@ export function createIntro(world, canvas, healthBar, geminiIcon, searchBar, goo
     // ── Spawn elements progressively ──────────────────────────────────
     updateElementSpawn(elapsed);
 
+    // ── Warm the cache while the page assembles ───────────────────────
+    if (elapsed >= T.PREFETCH && !prefetchStarted) {
+      prefetchStarted = true;
+      opts.prefetch?.().catch(e => console.warn('[Intro] Prefetch failed:', e));
+    }
+
     // ── Gemini greeting after flourish ────────────────────────────────
     if (elapsed >= T.GEMINI_GREETING && !geminiGreeted && geminiIcon) {
       geminiGreeted = true;
@@ -0,0 +1,130 @@
+/**
+ * Fuzzy cache key matching.
+ *
+ * The normalizer doesn't always produce the exact stored key ("cannonball"
+ * vs "cannon ball", "missles", "chopper"). Before a key is looked up, it is
+ * matched against the keys we already know, in order:
+ *   1. exact
+ *   2. same canonical form — spaces / hyphens dropped, simple plurals singular
+ *   3. synonym table
+ *   4. edit distance on the canonical form, scaled to key length; the first
+ *      letter must agree so "locket" doesn't become "rocket"
+ * Ambiguous edit-distance matches (two keys equally close) are rejected.
+ */
+
+// Alternative names → the key they mean. Only used when that key exists.
+// True equivalents only, same policy as the Flash normalizer prompt
+// ("spaceship" is not a "rocket", "dragon" is nothing curated).
+const SYNONYMS = {
+  chopper: 'helicopter',
+  copter: 'helicopter',
+  heli: 'helicopter',
+  automobile: 'car',
+  racecar: 'car',
+  armoredvehicle: 'tank',
+  panzer: 'tank',
+  locomotive: 'train',
+  rock: 'boulder',
+  stone: 'boulder',
+  meteorite: 'meteor',
+  bot: 'robot',
+  android: 'robot',
+  sphere: 'ball',
+  rainstorm: 'rain',
+  raincloud: 'cloud',
+  rocketship: 'rocket',
+  sentrygun: 'turret',
+};
+
+function clean(key) {
+  return key.trim().toLowerCase().replace(/[^a-z0-9 -]/g, '').replace(/[\s-]+/g, ' ');
+}
+
+/**
+ * Simple English plural → singular ("missiles" → "missile", "boxes" → "box",
+ * "glasses" → "glass", "butterflies" → "butterfly"); short words and -ss / -us
+ * endings are kept.
+ */
+export function singularize(word) {
+  if (word.length <= 3 || word.endsWith('ss') || word.endsWith('us')) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(ss|ch|sh|x)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+// "wrecking balls" → "wreckingball"
+function canonical(key) {
+  return clean(key).split(' ').map(singularize).join('');
+}
+
+/**
+ * Edit distance where swapping two adjacent letters ("trian" → "train") costs
+ * one edit, like any other typo (optimal string alignment). Gives up
+ * (returns max + 1) once it exceeds `max`.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a canonical key of this length
+function maxDistance(length) {
+  if (length <= 3) return 0;
+  if (length <= 8) return 1;
+  return 2;
+}
+
+/**
+ * Closest known key to `key`, or null if nothing is close enough.
+ * @param {string} key - Normalized prompt
+ * @param {Iterable<string>} candidates - Keys that exist in some cache tier
+ * @returns {string|null}
+ */
+export function findKeyMatch(key, candidates) {
+  const known = [...new Set(candidates)];
+  if (known.includes(key)) return key;
+
+  const target = canonical(key);
+  if (!target) return null;
+  const byCanonical = new Map(known.map(k => [canonical(k), k]));
+  if (byCanonical.has(target)) return byCanonical.get(target);
+
+  const synonym = SYNONYMS[target];
+  if (synonym && known.includes(synonym)) return synonym;
+
+  const max = maxDistance(target.length);
+  if (max === 0) return null;
+  let best = null;
+  let bestDistance = max + 1;
+  let tied = false;
+  for (const [form, k] of byCanonical) {
+    if (form[0] !== target[0]) continue;
+    const d = editDistance(target, form, max);
+    if (d < bestDistance) {
+      best = k;
+      bestDistance = d;
+      tied = false;
+    } else if (d === bestDistance && d <= max) {
+      tied = true;
+    }
+  }
+  return bestDistance <= max && !tied ? best : null;
+}
@@ -0,0 +1,242 @@
+// Google Generative Language REST provider.
+// Model chains are tried in order: if one model fails (HTTP error, timeout,
+// overload) the next one is used and the result is flagged `usedFallback`.
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export const DEFAULT_GENERATE_MODELS = ['gemini-3-pro-preview', 'gemini-2.5-pro'];
+export const DEFAULT_NORMALIZE_MODEL = 'gemini-2.0-flash';
+
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000; // ms
+const FETCH_TIMEOUT = 60000; // 60 seconds timeout
+
+// `options.signal` (caller cancellation) is chained into the timeout controller
+async function fetchWithTimeout(url, options, timeout = FETCH_TIMEOUT) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const external = options.signal;
+  if (external) {
+    if (external.aborted) controller.abort();
+    else external.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    return response;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function fetchWithRetry(url, options) {
+  let lastStatus = null;
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    try {
+      const response = await fetchWithTimeout(url, options);
+      if (response.ok) return response;
+      lastStatus = response.status;
+      if (response.status === 503 || response.status === 429) {
+        console.warn(`API overloaded (${response.status}), retry ${attempt + 1}/${MAX_RETRIES}...`);
+        await new Promise(r => setTimeout(r, RETRY_DELAY * (attempt + 1)));
+        continue;
+      }
+      return response; // non-retryable error
+    } catch (e) {
+      if (e.name === 'AbortError' && options.signal?.aborted) throw e; // cancelled by caller, don't retry
+      if (e.name === 'AbortError') {
+        console.warn(`Request timeout, retry ${attempt + 1}/${MAX_RETRIES}...`);
+        if (attempt === MAX_RETRIES - 1) throw new Error('Request timed out after multiple attempts');
+        continue;
+      }
+      throw e;
+    }
+  }
+  // After all retries exhausted for 503/429, throw a clear error
+  if (lastStatus === 503 || lastStatus === 429) {
+    const msg = lastStatus === 429
+      ? 'Gemini API rate limit exceeded. Try again in a moment.'
+      : 'Gemini API is overloaded. Try again in a moment.';
+    throw new Error(msg);
+  }
+  return fetchWithTimeout(url, options); // final attempt for other cases
+}
+
+function cleanKey(text) {
+  return text.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * @param {object} [config]
+ * @param {string} [config.apiKey] - Defaults to VITE_GEMINI_API_KEY
+ * @param {string[]} [config.generateModels] - Fallback chain for code generation
+ * @param {string} [config.normalizeModel] - Cheap model for prompt normalization
+ * @returns {import('./provider.js').LLMProvider}
+ */
+export function createGeminiProvider(config = {}) {
+  const apiKey = config.apiKey ?? import.meta.env.VITE_GEMINI_API_KEY;
+  let generateModels = config.generateModels ?? DEFAULT_GENERATE_MODELS;
+  let normalizeModel = config.normalizeModel ?? DEFAULT_NORMALIZE_MODEL;
+
+  function urlFor(model, method = 'generateContent') {
+    const sse = method === 'streamGenerateContent' ? 'alt=sse&' : '';
+    return `${API_BASE}/${model}:${method}?${sse}key=${apiKey}`;
+  }
+
+  /**
+   * Walk the model chain; every model but the last falls through on any failure.
+   * @returns {Promise<{response: Response, model: string}>} - Response is ok
+   */
+  async function fetchFromChain(models, method, contents, opts) {
+    const requestOptions = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contents, generationConfig: opts.generationConfig }),
+      signal: opts.signal,
+    };
+
+    let response;
+    let model;
+    for (let i = 0; i < models.length; i++) {
+      model = models[i];
+      const isLast = i === models.length - 1;
+      try {
+        response = await fetchWithRetry(urlFor(model, method), requestOptions);
+        if (response.ok || isLast) break;
+        throw new Error(`HTTP ${response.status}`);
+      } catch (e) {
+        if (e.name === 'AbortError' && opts.signal?.aborted) throw e;
+        if (isLast) throw new Error('All Gemini models failed. Try again in a moment.');
+        console.warn(`Model ${model} failed: ${e.message}, trying fallback (${models[i + 1]})...`);
+      }
+    }
+
+    if (!response.ok) {
+      if (response.status === 429) {
+        throw new Error('Gemini API rate limit exceeded. Try again in a moment.');
+      }
+      if (response.status === 503) {
+        throw new Error('Gemini API is overloaded. Try again in a moment.');
+      }
+      const err = await response.text();
+      throw new Error(`Gemini API error (${response.status}): ${err}`);
+    }
+
+    return { response, model };
+  }
+
+  async function generate(contents, opts = {}) {
+    const models = opts.models ?? generateModels;
+    const { response, model } = await fetchFromChain(models, 'generateContent', contents, opts);
+
+    const data = await response.json();
+    const candidate = data.candidates?.[0];
+    return {
+      text: candidate?.content?.parts?.[0]?.text || '',
+      finishReason: candidate?.finishReason,
+      model,
+      usedFallback: model !== models[0],
+    };
+  }
+
+  /**
+   * Streaming variant of generate() using server-sent events.
+   * `onText` receives the accumulated text after every chunk. Abort via
+   * `opts.signal` to stop reading early (rejects with an AbortError).
+   */
+  async function stream(contents, opts = {}, onText = () => {}) {
+    const models = opts.models ?? generateModels;
+    const { response, model } = await fetchFromChain(models, 'streamGenerateContent', contents, opts);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let finishReason;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // SSE frames: one `data: {json}` line per chunk
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+        if (!line.startsWith('data:')) continue;
+
+        let data;
+        try {
+          data = JSON.parse(line.slice(5));
+        } catch {
+          continue;
+        }
+        const candidate = data.candidates?.[0];
+        const chunk = candidate?.content?.parts?.map(p => p.text || '').join('') || '';
+        if (candidate?.finishReason) finishReason = candidate.finishReason;
+        if (chunk) {
+          text += chunk;
+          onText(text);
+        }
+      }
+    }
+
+    return { text, finishReason, model, usedFallback: model !== models[0] };
+  }
+
+  /**
+   * Cheap Gemini Flash call to normalize any user prompt into a 1-2 word
+   * lowercase cache key (e.g. "give me something that creates rain" → "rain").
+   * Prefers curated cache keys when the input matches or is a synonym.
+   */
+  async function normalize(userPrompt, curatedKeys, opts = {}) {
+    const keysList = curatedKeys.join(', ');
+    const response = await fetchWithRetry(urlFor(normalizeModel), {
+      method: 'POST',
+      signal: opts.signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{
+          role: 'user',
+          parts: [{ text: `Reduce this to a 1-2 word object name. Lowercase, no punctuation. Reply with ONLY the word(s), nothing else.
+
+If the input is a TYPO or DIRECT SYNONYM of one of these keys, return that key: ${keysList}
+Otherwise, return the actual object name the user asked for.
+
+ONLY map to curated keys for true equivalents:
+- "trian" → "train" (typo)
+- "locomotive" → "train" (same thing)
+- "chopper" → "helicopter" (same thing)
+- "heli" → "helicopter" (abbreviation)
+- "armored vehicle" → "tank" (same thing)
+
+Do NOT force unrelated things to curated keys:
+- "butterfly" → "butterfly" (NOT "ball")
+- "dragon" → "dragon" (NOT any curated key)
+- "spaceship" → "spaceship" (NOT "rocket")
+
+"${userPrompt}"` }],
+        }],
+        generationConfig: { temperature: 0, maxOutputTokens: 16 },
+      }),
+    });
+
+    // The caller falls back to the offline normalizer's guess
+    if (!response.ok) throw new Error(`Normalize failed: HTTP ${response.status}`);
+
+    const data = await response.json();
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) throw new Error('Normalize returned no text');
+    return cleanKey(text);
+  }
+
+  return {
+    name: 'gemini',
+    generate,
+    stream,
+    normalize,
+    setModelChain(models) { generateModels = models; },
+    setNormalizeModel(model) { normalizeModel = model; },
+    getModelChain() { return generateModels; },
+  };
+}
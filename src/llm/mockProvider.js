@@ -0,0 +1,106 @@
+// Offline mock provider — answers from CURATED_OBJECTS and mockFixtures.json
+// so the whole search → spawn flow works without an API key or network.
+
+import { CURATED_OBJECTS } from '../curatedCache.js';
+import MOCK_FIXTURES from './mockFixtures.json';
+
+const DEFAULT_LATENCY = 300; // ms — keeps loading states visible
+const STREAM_CHUNK = 48;     // characters per simulated stream chunk
+const STREAM_INTERVAL = 40;  // ms between simulated chunks
+
+// Manifest category per known key (see CATEGORIES in manifest.js); anything else is a projectile
+const MOCK_CATEGORIES = {
+  catapult: 'weapon', cannon: 'weapon', turret: 'weapon', 'wrecking ball': 'weapon', shotgun: 'weapon',
+  helicopter: 'vehicle', train: 'vehicle', tank: 'vehicle', car: 'vehicle',
+  rain: 'weather', cloud: 'weather',
+  butterfly: 'creature', robot: 'creature', virus: 'creature',
+};
+const DEFAULT_CATEGORY = 'projectile';
+
+function cleanKey(text) {
+  return text.trim().toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * @param {object} [config]
+ * @param {object} [config.fixtures] - Extra key → code entries (merged over mockFixtures.json)
+ * @param {number} [config.latency] - Simulated response delay in ms
+ * @returns {import('./provider.js').LLMProvider}
+ */
+export function createMockProvider(config = {}) {
+  const fixtures = { ...MOCK_FIXTURES, ...config.fixtures };
+  const latency = config.latency ?? DEFAULT_LATENCY;
+
+  // Longest keys first so "wrecking ball" wins over "ball"
+  const knownKeys = [...new Set([...Object.keys(CURATED_OBJECTS), ...Object.keys(fixtures)])]
+    .filter(k => k !== 'default')
+    .sort((a, b) => b.length - a.length);
+
+  function lookup(key) {
+    return CURATED_OBJECTS[key] || fixtures[key] || fixtures.default;
+  }
+
+  function matchKey(text) {
+    const cleaned = cleanKey(text);
+    for (const key of knownKeys) {
+      if (cleaned === key || ` ${cleaned} `.includes(` ${key} `)) return key;
+    }
+    // Unknown object: drop articles, keep the last 1-2 words
+    const words = cleaned.split(' ').filter(w => !['a', 'an', 'the'].includes(w));
+    return words.slice(-2).join(' ');
+  }
+
+  // Replies use the same JSON envelope the real model is asked for (see manifest.js)
+  function respond(contents) {
+    const lastUser = [...contents].reverse().find(c => c.role === 'user');
+    const text = lastUser?.parts?.[0]?.text || '';
+
+    // Repair requests and anything else get the known-good default
+    const create = text.match(/^Create: "(.*)"$/s);
+    const key = create ? matchKey(create[1]) : 'default';
+    const code = lookup(key);
+
+    return JSON.stringify({
+      name: key,
+      category: MOCK_CATEGORIES[key] ?? DEFAULT_CATEGORY,
+      bodies: (code.match(/createBody\(/g) || []).length,
+      description: `Offline mock object for "${key}".`,
+      code,
+    });
+  }
+
+  async function generate(contents, opts = {}) {
+    await new Promise(r => setTimeout(r, latency));
+    opts.signal?.throwIfAborted();
+    return { text: respond(contents), finishReason: 'STOP', model: 'mock', usedFallback: false };
+  }
+
+  // Replays the answer in fixed-size chunks so streaming UIs can be exercised offline
+  async function stream(contents, opts = {}, onText = () => {}) {
+    await new Promise(r => setTimeout(r, latency));
+    const code = respond(contents);
+    for (let i = STREAM_CHUNK; ; i += STREAM_CHUNK) {
+      opts.signal?.throwIfAborted();
+      onText(code.slice(0, i));
+      if (i >= code.length) break;
+      await new Promise(r => setTimeout(r, STREAM_INTERVAL));
+    }
+    return { text: code, finishReason: 'STOP', model: 'mock', usedFallback: false };
+  }
+
+  async function normalize(userPrompt, curatedKeys, opts = {}) {
+    await new Promise(r => setTimeout(r, latency / 3));
+    opts.signal?.throwIfAborted();
+    return matchKey(userPrompt);
+  }
+
+  return {
+    name: 'mock',
+    generate,
+    stream,
+    normalize,
+    setModelChain() { /* Single built-in backend */ },
+    setNormalizeModel() { /* Single built-in backend */ },
+    getModelChain() { return ['mock']; },
+  };
+}
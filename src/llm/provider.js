@@ -0,0 +1,80 @@
+// LLM provider registry.
+// The active provider is picked from `?llm=<name>` in the URL, then
+// VITE_LLM_PROVIDER, then falls back to the mock when no Gemini API key is set.
+// It can also be swapped at runtime with setProvider() / setModelChain().
+
+import { createGeminiProvider } from './geminiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+/**
+ * @typedef {object} LLMProvider
+ * @property {string} name
+ * @property {(contents: object[], opts?: {generationConfig?: object, models?: string[], signal?: AbortSignal}) =>
+ *   Promise<{text: string, finishReason?: string, model: string, usedFallback: boolean}>} generate
+ *   Send a Gemini-style `contents` conversation; `models` overrides the fallback chain for one call.
+ *   Aborting `signal` cancels the request (rejects with an AbortError)
+ * @property {(contents: object[], opts?: {generationConfig?: object, models?: string[], signal?: AbortSignal},
+ *   onText?: (accumulated: string) => void) => Promise<{text: string, finishReason?: string, model: string, usedFallback: boolean}>} stream
+ *   Same as generate() but reports partial text as it arrives; aborting `signal` rejects with an AbortError
+ * @property {(userPrompt: string, curatedKeys: string[], opts?: {signal?: AbortSignal}) => Promise<string>} normalize
+ *   Reduce a free-form prompt to a 1-2 word cache key; rejects if the model can't be reached
+ * @property {(models: string[]) => void} setModelChain
+ * @property {(model: string) => void} setNormalizeModel
+ * @property {() => string[]} getModelChain
+ */
+
+const factories = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider,
+};
+
+function defaultProviderName() {
+  const fromUrl = typeof location !== 'undefined'
+    ? new URLSearchParams(location.search).get('llm')
+    : null;
+  if (fromUrl && factories[fromUrl]) return fromUrl;
+  const fromEnv = import.meta.env.VITE_LLM_PROVIDER;
+  if (fromEnv && factories[fromEnv]) return fromEnv;
+  return import.meta.env.VITE_GEMINI_API_KEY ? 'gemini' : 'mock';
+}
+
+let active = null;
+
+/** @returns {LLMProvider} */
+export function getProvider() {
+  if (!active) {
+    active = factories[defaultProviderName()]();
+    console.log('[LLM] Using provider:', active.name);
+  }
+  return active;
+}
+
+/**
+ * Switch provider at runtime.
+ * @param {string|LLMProvider} provider - A registered name ('gemini', 'mock') or a provider object
+ * @param {object} [config] - Passed to the factory when a name is given
+ */
+export function setProvider(provider, config) {
+  if (typeof provider === 'string') {
+    if (!factories[provider]) throw new Error(`Unknown LLM provider: ${provider}`);
+    active = factories[provider](config);
+  } else {
+    active = provider;
+  }
+  console.log('[LLM] Using provider:', active.name);
+}
+
+/**
+ * Register an extra provider factory under a name (usable via setProvider / ?llm=).
+ */
+export function registerProvider(name, factory) {
+  factories[name] = factory;
+}
+
+/**
+ * Replace the code-generation fallback chain of the active provider.
+ * @param {string[]} models - Tried in order
+ */
+export function setModelChain(models) {
+  getProvider().setModelChain(models);
+}
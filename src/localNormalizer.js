@@ -0,0 +1,63 @@
+/**
+ * Deterministic offline prompt normalizer.
+ *
+ * Runs before the Flash normalizer: strips filler ("give me a", "please",
+ * "let there be"), stop words and plurals, then matches the rest against
+ * known cache keys with keyMatch.js (typos, synonyms). When that lands on a
+ * known key the result is confident and the network call is skipped.
+ * Otherwise its best guess is used only if the Flash call fails.
+ */
+
+import { findKeyMatch, singularize } from './keyMatch.js';
+
+const MAX_KEY_WORDS = 2;
+
+// Whole phrases removed before word-level filtering
+const FILLER_PHRASES = [
+  /\b(?:hey|hi|hello|ok|okay|yo)\b/g,
+  /\b(?:can|could|would|will) (?:you|u)\b/g,
+  /\b(?:i|we) (?:want|need|would like|wanna)\b/g,
+  /\bi'?d like\b/g,
+  /\blet there be\b/g,
+  /\b(?:give|get|build|make|create|spawn|summon|generate|draw|bring|send|drop) (?:me|us)\b/g,
+  /\bsomething (?:that|which) (?:creates?|makes?|is|looks like|shoots?)\b/g,
+  /\b(?:thank you|thanks|thx)\b/g,
+];
+
+// Leading command verbs ("create catapult", "summon ball")
+const COMMAND_VERBS = new Set([
+  'give', 'get', 'build', 'make', 'create', 'spawn', 'summon', 'generate', 'draw', 'bring',
+  'send', 'drop', 'add', 'throw', 'launch', 'fire', 'shoot', 'unleash', 'deploy',
+]);
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'some', 'any', 'me', 'us', 'my', 'our', 'of', 'for', 'with', 'to', 'at',
+  'please', 'pls', 'plz', 'now', 'just', 'really', 'very', 'one', 'another', 'few', 'lot', 'lots',
+  'bunch', 'kind', 'sort', 'type', 'new', 'cool', 'awesome', 'like', 'it', 'that', 'this', 'there',
+]);
+
+/**
+ * @param {string} prompt - Raw search text (modifiers already removed)
+ * @param {Iterable<string>} knownKeys - Keys that exist in some cache tier
+ * @returns {{key: string, confident: boolean}}
+ */
+export function normalizeLocally(prompt, knownKeys) {
+  let text = prompt.toLowerCase().replace(/[^a-z0-9'\s-]/g, ' ').replace(/\s+/g, ' ').trim();
+  const fallback = text.replace(/'/g, '');
+
+  // "make it rain anvils" → "anvil rain", "make it rain" → "rain"
+  text = text.replace(/\bmake it (rain|snow|hail)\b(.*)$/, (_, weather, rest) => `${rest} ${weather}`);
+  for (const phrase of FILLER_PHRASES) text = text.replace(phrase, ' ');
+
+  let words = text.replace(/'/g, '').split(/[\s-]+/).filter(Boolean);
+  while (words.length > 1 && COMMAND_VERBS.has(words[0])) words.shift();
+  words = words.filter(w => !STOP_WORDS.has(w)).map(singularize);
+
+  if (words.length === 0) return { key: fallback, confident: false };
+
+  const key = words.slice(-MAX_KEY_WORDS).join(' ');
+  if (words.length > MAX_KEY_WORDS) return { key, confident: false };
+
+  const match = findKeyMatch(key, knownKeys);
+  return match ? { key: match, confident: true } : { key, confident: false };
+}
@@ -5,10 +5,15 @@ import { createSearchBar } from './searchbar.js';
 import { createGooglePage } from './googlepage.js';
 import { setupInput } from './input.js';
 import { createRenderer } from './renderer.js';
-import { generateObject, normalizePrompt } from './gemini.js';
+import { generateObject, normalizePrompt, withRepair } from './gemini.js';
 import { createExecutor } from './executor.js';
+import { createExplosions } from './explosions.js';
+import { validateCode, describeIssues, CodeValidationError } from './validator.js';
 import { createLoadingOverlay } from './loading.js';
 import { createCache } from './cache.js';
+import { createPromptQueue } from './promptQueue.js';
+import { parseModifiers, describeModifiers } from './modifiers.js';
+import { moderatePrompt } from './moderation.js';
 import { createGeminiIcon } from './geminiIcon.js';
 import { createHealthBar } from './healthBar.js';
 import { createIntro } from './intro.js';
@@ -48,7 +53,16 @@ function cleanupOOB() {
 const executor = createExecutor(world);
 const overlay = createLoadingOverlay(canvas);
 const cache = createCache();
-let isGenerating = false;
+
+// Cached code that crashes gets quarantined instead of being served again
+executor.setFailureReporter((source, message, opts) => cache.reportFailure(source, message, opts));
+
+// explode() from generated code: pushes bodies now, damages The Crash once it exists (below)
+const explosions = createExplosions(world);
+executor.setExplosionHandler(explosions.explode);
+
+// Prompts typed while Gemini is busy wait in a queue (chips under the search bar)
+const searchQueue = createPromptQueue(runSearch, { onChange: onQueueChange });
 
 // Thinking messages shown while Gemini is generating
 const THINKING_MESSAGES = [
@@ -60,123 +74,314 @@ const THINKING_MESSAGES = [
   'Materializing your idea...',
 ];
 
-async function handleSearch(text, searchBarBody) {
+// Said instead of building when a prompt is refused by moderation.js
+const MODERATION_MESSAGES = [
+  'Let\'s keep it friendly! How about something else to fight the Crash?',
+  'I can\'t build that one. Try a catapult, a rocket, anything fun!',
+  'Hmm, that\'s not something I\'ll make. Got another idea?',
+];
+
+// Cache hits pretend to think this long, unless fast mode is on
+const CACHED_THINKING_MS = 3000;
+
+// --- Fast mode: cache hits spawn without the fake thinking delay ---
+// Toggled by the footer "Settings" link, or ?fast=1 / ?fast=0; remembered in localStorage.
+const FAST_MODE_STORAGE_KEY = 'fastMode';
+
+function loadFastMode() {
+  const fromUrl = new URLSearchParams(location.search).get('fast');
+  try {
+    if (fromUrl !== null) localStorage.setItem(FAST_MODE_STORAGE_KEY, fromUrl === '0' ? '0' : '1');
+    return localStorage.getItem(FAST_MODE_STORAGE_KEY) === '1';
+  } catch {
+    return fromUrl !== null && fromUrl !== '0';
+  }
+}
+
+let fastMode = loadFastMode();
+
+function setFastMode(on) {
+  fastMode = on;
+  try {
+    localStorage.setItem(FAST_MODE_STORAGE_KEY, on ? '1' : '0');
+  } catch { /* Storage disabled — lasts for this page only */ }
+}
+
+// setTimeout as a promise that rejects with an AbortError when `signal` fires
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+function onQueueChange() {
+  const busy = searchQueue.hasActive();
+  searchBar.setLoading(busy);
+  searchBar.setQueue(searchQueue.getItems());
+  geminiIcon.setLoading(busy);
+}
+
+function handleSearch(text, searchBarBody) {
   if (!intro.isComplete()) return;
-  if (isGenerating) return;
-  isGenerating = true;
-  searchBar.setLoading(true);
-  geminiIcon.setLoading(true);
 
   // Stop animated placeholder when user starts searching
   searchBar.stopAnimatedPlaceholder();
 
-  // Timer to show thinking message after 5 seconds
-  let thinkingTimer = null;
+  // Refuse offensive prompts; profanity used as filler is just dropped
+  const moderation = moderatePrompt(text);
+  if (!moderation.allowed) {
+    console.warn('[Moderation] Refused prompt:', moderation.reason);
+    geminiIcon.setSpeech(MODERATION_MESSAGES[Math.floor(Math.random() * MODERATION_MESSAGES.length)]);
+    setTimeout(() => geminiIcon.hideSpeech(), 4000);
+    return;
+  }
+
+  if (!searchQueue.enqueue(moderation.text)) {
+    overlay.showError('Too many creations in the queue. Wait for a few to finish!');
+  }
+}
+
+/**
+ * Abort every queued and in-flight search (Escape / stop control on the
+ * search bar): cancels pending requests and frees the bar immediately.
+ */
+function cancelSearch() {
+  if (!searchQueue.hasActive()) return;
+  console.log('[Search] Cancelled');
+  searchQueue.cancelAll();
+  searchBar.setLoading(false);
+  geminiIcon.setLoading(false);
+  geminiIcon.hideSpeech();
+  geminiIcon.cancelFlyTo();
+  geminiIcon.releaseHold();
+}
+
+// Where Gemini flies to present a queued creation: spread along the right side
+function queueSpawnPoint(item) {
+  const slot = item.id % 4;
+  return { x: W * (0.55 + slot * 0.1), y: H * 0.22 };
+}
+
+/**
+ * One search: normalize → cache / generate → wait for its turn → spawn.
+ * Runs inside the prompt queue; only the head item talks through Gemini's
+ * speech bubble so parallel generations don't fight over it.
+ */
+async function runSearch(item, signal) {
+  // "3x giant tank" → generate/cache "tank", apply count and size at spawn
+  const knownKeys = await cache.knownKeys();
+  const { noun: text, modifiers } = parseModifiers(item.text, knownKeys);
+  const speak = (msg, opts) => {
+    if (searchQueue.isHead(item)) geminiIcon.setSpeech(msg, opts);
+  };
+  // A queued item is presented at its own spot; a lone search spawns below Gemini
+  const at = searchQueue.activeCount() > 1 ? queueSpawnPoint(item) : null;
 
   try {
-    // Normalize prompt via Gemini Flash → 1-2 word cache key
-    const key = await normalizePrompt(text);
+    // Normalize prompt → 1-2 word cache key (offline first, Gemini Flash if unsure),
+    // then snap it to a near-match key so lookups, generations and spawns are all
+    // recorded under the key getEntry() answers with
+    const key = await cache.resolveKey(await normalizePrompt(text, { signal, knownKeys }));
     console.log('[Normalize]', text, '→', key);
 
-    // Check cache (localStorage L1, then Firebase L2)
-    const cached = await cache.get(key);
+    // Check cache (curated, localStorage, then the best shared variant)
+    let cached = await cache.getEntry(key);
+    signal.throwIfAborted();
     if (cached) {
-      // Show thinking message and delay 3 seconds to simulate generation
-      const thinkingMsg = THINKING_MESSAGES[Math.floor(Math.random() * THINKING_MESSAGES.length)];
-      geminiIcon.setSpeech(thinkingMsg);
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      const issues = validateCode(cached.code);
+      if (issues.length > 0) {
+        // Never run a bad shared entry — quarantine it and regenerate instead
+        console.warn('[Validator] Rejected cached code for', cached.key, issues);
+        cache.reportFailure(cached.source, describeIssues(issues));
+        cached = null;
+      }
+    }
+    if (cached) {
+      // Show thinking message and delay to simulate generation
+      if (!fastMode) {
+        const thinkingMsg = THINKING_MESSAGES[Math.floor(Math.random() * THINKING_MESSAGES.length)];
+        speak(thinkingMsg);
+        await wait(CACHED_THINKING_MS, signal);
+      }
+
+      searchQueue.setStatus(item, 'ready');
+      await item.waitTurn();
+      signal.throwIfAborted();
+      searchQueue.setStatus(item, 'spawning');
       geminiIcon.hideSpeech();
 
-      // Spawn below Gemini's current position
-      await animateGeminiSpawn(cached);
+      // Shared entries were written by other players, so they run in the sandbox worker
+      const { source } = cached;
+      await animateGeminiSpawn(cached.code, { sandboxed: !CURATED_OBJECTS[cached.key], modifiers, signal, at, source });
       gameState.trackObjectCreated();
-      if (window.umami) window.umami.track('object-created', { prompt: key });
+      if (window.umami) window.umami.track('object-created', { prompt: cached.key });
+      cache.recordSpawn(source);
+      offerVote(cached.key, source);
       return;
     }
 
     // Start thinking interval - show new message every 5 seconds during generation
-    thinkingTimer = setInterval(() => {
+    item.thinkingTimer = setInterval(() => {
       const thinkingMsg = THINKING_MESSAGES[Math.floor(Math.random() * THINKING_MESSAGES.length)];
-      geminiIcon.setSpeech(thinkingMsg);
+      speak(thinkingMsg);
     }, 5000);
 
-    const { code, usedFallback } = await generateObject(text);
+    // Stream tokens into Gemini's speech bubble; the first one replaces the thinking messages
+    const showPartialCode = (partial) => {
+      if (item.thinkingTimer) {
+        clearInterval(item.thinkingTimer);
+        item.thinkingTimer = null;
+      }
+      if (partial) speak(partial, { label: 'Gemini is writing...', showEnd: true });
+    };
+
+    const generated = await generateObject(text, { onToken: showPartialCode, signal, key });
 
     // Clear thinking interval and message
-    if (thinkingTimer) {
-      clearInterval(thinkingTimer);
-      thinkingTimer = null;
+    if (item.thinkingTimer) {
+      clearInterval(item.thinkingTimer);
+      item.thinkingTimer = null;
     }
 
+    searchQueue.setStatus(item, 'ready');
+    await item.waitTurn();
+    signal.throwIfAborted();
+    searchQueue.setStatus(item, 'spawning');
+
     // Notify user if fallback model was used
-    if (usedFallback) {
+    if (generated.usedFallback) {
       geminiIcon.setSpeech('Gemini 3 Pro API limit hit! Falling back to Gemini 2.5 Pro...');
-      await new Promise(resolve => setTimeout(resolve, 2500));
+      await wait(2500, signal);
     }
     geminiIcon.hideSpeech();
 
-    // Spawn below Gemini's current position
-    await animateGeminiSpawn(code, { usedFallback });
+    // Validate and spawn; failures go back to Gemini for a fix (see withRepair)
+    const source = cache.newSource(key);
+    const { code, manifest, usedFallback } = await withRepair(generated, async ({ code, usedFallback }) => {
+      const issues = validateCode(code);
+      if (issues.length > 0) throw new CodeValidationError(issues);
+      await animateGeminiSpawn(code, { usedFallback, modifiers, signal, at, source });
+    }, {
+      onRepair: () => geminiIcon.setSpeech('Oops, fixing my code...'),
+      onToken: showPartialCode,
+      signal,
+      key,
+    });
+
     gameState.trackObjectCreated();
     if (window.umami) window.umami.track('object-created', { prompt: key });
-    cache.set(key, code);
+    cache.set(key, code, manifest, { usedFallback, source });
+    cache.recordSpawn(source);
+    offerVote(key, source);
   } catch (e) {
+    if (signal.aborted) throw e; // Cancelled — cancelSearch already reset the UI
     console.error('Generation failed:', e);
     overlay.showError(e.message);
+    if (e instanceof CodeValidationError) {
+      speak(describeIssues(e.issues));
+      setTimeout(() => geminiIcon.hideSpeech(), 4000);
+    } else if (searchQueue.isHead(item)) {
+      geminiIcon.hideSpeech(); // Don't leave half-streamed code on screen
+    }
+    throw e;
   } finally {
     // Clean up thinking interval if still running
-    if (thinkingTimer) {
-      clearInterval(thinkingTimer);
-    }
-    isGenerating = false;
-    searchBar.setLoading(false);
-    geminiIcon.setLoading(false);
+    if (item.thinkingTimer) clearInterval(item.thinkingTimer);
   }
 }
 
+/**
+ * Let the player rate a creation from the search bar (see cache.js variants).
+ */
+function offerVote(key, source) {
+  if (!source?.variantId) return; // Curated and older shared entries have no variant stats
+  searchBar.showVote(key, (dir) => {
+    cache.vote(source, dir);
+    if (window.umami) window.umami.track('object-vote', { prompt: key, vote: dir });
+  });
+}
+
 /**
  * Gemini shows code, waits, then spawns object below its current position.
  * @param {string} code - The code to execute
  * @param {object} [opts] - Options
  * @param {boolean} [opts.usedFallback] - Whether fallback model was used
- * @returns {Promise} - Resolves when animation completes and object is spawned
+ * @param {boolean} [opts.sandboxed] - Run the code in the isolated sandbox worker
+ * @param {object} [opts.modifiers] - Prompt modifiers for the executor (see modifiers.js)
+ * @param {AbortSignal} [opts.signal] - Cancels the spawn if it fires before the object appears
+ * @param {{x: number, y: number}} [opts.at] - Fly Gemini here first and spawn below this point
+ * @param {object} [opts.source] - Cache variant the code came from; its bodies are tagged
+ *   so damage is credited to it and crashes are reported back (see executor setFailureReporter)
+ * @returns {Promise} - Resolves when animation completes and object is spawned;
+ *   rejects if the executor or sandbox worker fails (validation, syntax or runtime error)
+ *   or the spawn is cancelled
  */
 function animateGeminiSpawn(code, opts) {
-  const modelLabel = opts?.usedFallback ? 'Generated by Gemini 2.5 Pro' : 'Generated by Gemini 3 Pro';
-  return new Promise((resolve) => {
-    // Get Gemini's current position - spawn below it
-    const geminiPos = geminiIcon.body.getPosition();
-    const spawnX = geminiPos.x;
-    const spawnY = geminiPos.y + 8; // Spawn 8 meters below Gemini
-
+  const modifierLabel = describeModifiers(opts?.modifiers);
+  const modelLabel = (opts?.usedFallback ? 'Generated by Gemini 2.5 Pro' : 'Generated by Gemini 3 Pro') +
+    (modifierLabel ? ` · ${modifierLabel}` : '');
+  const signal = opts?.signal;
+  // Sandboxed spawns settle once the worker replies, in-page ones synchronously
+  const run = async (x, y) => {
+    if (opts?.sandboxed) {
+      await executor.executeSandboxed(code, x, y, null, null, opts.modifiers, opts.source);
+      return;
+    }
+    executor.execute(code, x, y, null, null, opts?.modifiers, opts?.source);
+  };
+  return new Promise((resolve, reject) => {
     if (!geminiIcon.isVisible()) {
       // If Gemini isn't visible, just spawn immediately at default location
-      executor.execute(code, W * 0.5, H * 0.3);
-      resolve();
+      run(W * 0.5, H * 0.3).then(resolve, reject);
       return;
     }
 
-    // Show code in speech bubble with label
-    geminiIcon.setSpeech(code, { label: modelLabel });
+    const present = () => {
+      // Show code in speech bubble with label
+      geminiIcon.setSpeech(code, { label: modelLabel });
 
-    // Wait 2 seconds, then spawn the object
-    setTimeout(() => {
-      // Get position again in case Gemini moved
-      const pos = geminiIcon.body.getPosition();
-      executor.execute(code, pos.x, pos.y + 8);
-
-      // Hide speech bubble 4 seconds after spawn (6 total)
+      // Wait 2 seconds, then spawn the object
       setTimeout(() => {
-        geminiIcon.hideSpeech();
-        resolve();
-      }, 4000);
-    }, 2000);
+        if (signal?.aborted) {
+          reject(signal.reason);
+          return;
+        }
+
+        // Get position again in case Gemini moved
+        const pos = geminiIcon.body.getPosition();
+        const spawned = run(pos.x, pos.y + 8); // Spawn 8 meters below Gemini
+        if (opts?.at) geminiIcon.releaseHold();
+
+        spawned.then(() => {
+          // Hide speech bubble 4 seconds after spawn (6 total)
+          setTimeout(() => {
+            geminiIcon.hideSpeech();
+            resolve();
+          }, 4000);
+        }, (e) => {
+          geminiIcon.hideSpeech();
+          reject(e);
+        });
+      }, 2000);
+    };
+
+    if (opts?.at) {
+      // cancelSearch drops the flyTo callback, so settle here on abort
+      signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+      geminiIcon.flyTo(opts.at.x, opts.at.y, present);
+    } else {
+      present();
+    }
   });
 }
 
 // Google landing page - returns spawn functions for delayed loading
 const googlePage = createGooglePage(world);
-const searchBar = createSearchBar(world, W * 0.5, H * 0.40, handleSearch);
+const searchBar = createSearchBar(world, W * 0.5, H * 0.40, handleSearch, cancelSearch);
 
 // --- Gemini icon ---
 const geminiIcon = createGeminiIcon(world, canvas);
@@ -189,11 +394,16 @@ const renderer = createRenderer(canvas, getObjects, { jointDots: [] }, inputStat
 
 // --- Intro & Health Bar ---
 const healthBar = createHealthBar(canvas);
-const intro = createIntro(world, canvas, healthBar, geminiIcon, searchBar, googlePage);
+const intro = createIntro(world, canvas, healthBar, geminiIcon, searchBar, googlePage, {
+  prefetch: () => cache.prefetchPopular(),
+});
 
 // --- Combat system ---
 const gameState = createGameState(healthBar);
-const crash = createCrash(world, gameState, healthBar, W, H, geminiIcon);
+gameState.onDamage((amount, source) => cache.recordDamage(source, amount));
+const crash = createCrash(world, gameState, healthBar, W, H, geminiIcon, executor);
+explosions.onExplode((blast) => crash.takeBlast(blast));
+renderer.setExplosionProvider(explosions.getActive);
 const crashRenderer = createCrashRenderer(canvas, crash, gameState, world);
 const combatHUD = createCombatHUD(canvas, gameState, geminiIcon, intro, searchBar, world, crash, executor);
 
@@ -241,15 +451,38 @@ function setupLuckyClickHandler() {
     const code = CURATED_OBJECTS[randomKey];
 
     // Spawn below Gemini's current position
-    await animateGeminiSpawn(code);
-    gameState.trackObjectCreated();
-    if (window.umami) window.umami.track('lucky-click');
-    console.log('[Feeling Lucky]', randomKey);
+    try {
+      await animateGeminiSpawn(code);
+      gameState.trackObjectCreated();
+      if (window.umami) window.umami.track('lucky-click');
+      console.log('[Feeling Lucky]', randomKey);
+    } catch (e) {
+      console.error('Lucky spawn failed:', e);
+      overlay.showError(e.message);
+    }
 
     luckyAnimating = false;
   });
 }
 
+// --- Footer "Settings" link toggles fast mode ---
+let settingsClickHandlerSet = false;
+function setupSettingsClickHandler() {
+  if (settingsClickHandlerSet) return;
+  const settingsLink = googlePage.getSettingsLink();
+  if (!settingsLink) return;
+  settingsClickHandlerSet = true;
+
+  inputState.onClickBody(settingsLink, () => {
+    if (!intro.isComplete()) return;
+    setFastMode(!fastMode);
+    geminiIcon.setSpeech(fastMode
+      ? 'Fast mode on! Things I already know how to build appear instantly.'
+      : 'Fast mode off. I\'ll take my time again.');
+    setTimeout(() => geminiIcon.hideSpeech(), 3000);
+  });
+}
+
 let combatSpawnScheduled = false;
 
 // --- Game loop ---
@@ -261,6 +494,7 @@ function loop() {
 
   // Set up lucky button click handler once it's spawned
   setupLuckyClickHandler();
+  setupSettingsClickHandler();
 
   // Spawn The Crash after intro completes
   if (intro.isComplete() && !combatSpawnScheduled && state === 'idle') {
@@ -283,6 +517,9 @@ function loop() {
 
   geminiIcon.update();
 
+  // Mirror sandboxed bodies from the worker into the real world
+  executor.syncSandbox();
+
   // Update combat
   if (gameState.isActive()) {
     gameState.update(1 / 60);
@@ -297,6 +534,7 @@ function loop() {
 
   // Physics step (always run - defeat screen needs physics for falling text)
   world.step(1 / 60, 8, 3);
+  explosions.update(1 / 60);
 
   cleanupOOB();
   renderer.draw();
@@ -0,0 +1,97 @@
+/**
+ * Object manifest — structured metadata the model returns alongside its code.
+ *
+ * Generation replies are a JSON envelope:
+ *   { "name", "category", "bodies", "description", "code" }
+ * `code` comes last so the metadata is complete before the code streams in.
+ * Replies that aren't valid JSON (older prompts, bare code) are treated as
+ * code with no manifest.
+ */
+
+export const CATEGORIES = ['projectile', 'vehicle', 'weapon', 'weather', 'creature'];
+
+/**
+ * @typedef {object} ObjectManifest
+ * @property {string} name - Display name
+ * @property {string|null} category - One of CATEGORIES, or null if the model gave something else
+ * @property {number|null} bodies - Model's estimate of bodies created at spawn
+ * @property {string} description - One short sentence
+ */
+
+/**
+ * Coerce raw model metadata into an ObjectManifest.
+ * @param {object} raw
+ * @param {string} [fallbackName] - Used when the model omitted a name
+ * @returns {ObjectManifest}
+ */
+export function normalizeManifest(raw, fallbackName = '') {
+  const category = typeof raw?.category === 'string' ? raw.category.trim().toLowerCase() : null;
+  const bodies = Number(raw?.bodies);
+  return {
+    name: typeof raw?.name === 'string' && raw.name.trim() ? raw.name.trim().slice(0, 60) : fallbackName,
+    category: CATEGORIES.includes(category) ? category : null,
+    bodies: Number.isFinite(bodies) && bodies >= 0 ? Math.round(bodies) : null,
+    description: typeof raw?.description === 'string' ? raw.description.trim().slice(0, 200) : '',
+  };
+}
+
+/**
+ * Split a model reply into code and manifest.
+ * @param {string} text - Raw reply (code fences already stripped)
+ * @returns {{code: string, manifest: ObjectManifest|null}}
+ */
+export function parseEnvelope(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    try {
+      const data = JSON.parse(trimmed);
+      if (data && typeof data.code === 'string') {
+        const { code, ...meta } = data;
+        return { code: code.trim(), manifest: normalizeManifest(meta) };
+      }
+    } catch { /* Not an envelope — bare code that starts with a block */ }
+  }
+  return { code: trimmed, manifest: null };
+}
+
+/**
+ * Best-effort code from an incomplete envelope, for live streaming display.
+ * Returns '' until the "code" field starts; bare-code replies pass through.
+ */
+export function partialEnvelopeCode(text) {
+  const trimmed = text.trimStart();
+  if (!trimmed.startsWith('{')) return trimmed;
+
+  const start = trimmed.match(/"code"\s*:\s*"/);
+  if (!start) return '';
+  const raw = trimmed.slice(start.index + start[0].length);
+
+  // Stop at the closing quote, or before an escape sequence that hasn't fully arrived
+  let end = raw.length;
+  for (let i = 0; i < raw.length; i++) {
+    if (raw[i] === '"') { end = i; break; }
+    if (raw[i] === '\\') {
+      const len = raw[i + 1] === 'u' ? 6 : 2;
+      if (i + len > raw.length) { end = i; break; }
+      i += len - 1;
+    }
+  }
+  try {
+    return JSON.parse(`"${raw.slice(0, end)}"`);
+  } catch {
+    return raw.slice(0, end);
+  }
+}
+
+/**
+ * Entries are stored either as a bare code string (curated and older shared
+ * entries) or as { code, manifest }.
+ * @returns {{code: string, manifest: ObjectManifest|null}|null}
+ */
+export function readEntry(value) {
+  if (typeof value === 'string') return { code: value, manifest: null };
+  if (value && typeof value === 'object' && typeof value.code === 'string') {
+    return { code: value.code, manifest: value.manifest ? normalizeManifest(value.manifest) : null };
+  }
+  return null;
+}
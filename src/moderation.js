@@ -0,0 +1,121 @@
+// Prompt and cache key moderation. Prompts are checked in handleSearch before
+// they are normalized, and keys again in cache.set() before anything is
+// persisted, so offensive strings never reach the shared store (or dev.html).
+//
+// Rules:
+//   blocked  — the whole prompt is refused
+//   stripped — the word is dropped (profanity as an intensifier: "a f*cking tank"
+//              → "a tank"); refused if nothing is left
+//   patterns — regexes on the folded text; a match refuses the prompt
+// Matching is on whole words after folding case, common character swaps
+// ("h1tl3r") and spaced-out letters ("n a z i"). Deployments extend the lists
+// with VITE_MODERATION_BLOCKLIST (comma-separated terms) or addModerationRules().
+
+const BLOCKED_TERMS = [
+  'nazi', 'hitler', 'swastika', 'kkk', 'white power', 'heil', 'isis', 'jihad',
+  'terrorist', 'suicide bomber', 'genocide', 'holocaust', 'lynching',
+  'rape', 'rapist', 'molest', 'pedo', 'pedophile', 'incest',
+  'porn', 'nude', 'sex', 'penis', 'vagina', 'dildo', 'boob', 'tit', 'cum',
+  'cocaine', 'heroin', 'meth',
+  'retard', 'faggot', 'fag', 'tranny', 'nigger', 'nigga', 'chink', 'spic', 'kike', 'wetback',
+];
+
+const STRIPPED_TERMS = [
+  'fuck', 'fucking', 'fuckin', 'motherfucking', 'shit', 'shitty', 'damn', 'damned',
+  'goddamn', 'bloody', 'asshole', 'bitch', 'bastard', 'crap', 'freaking', 'frickin', 'wtf',
+];
+
+const BLOCKED_PATTERNS = [
+  /\bschool (?:shoot|massacre)/,
+  // Any run of qualifiers: "kill jews", "bomb all the jews", "gas all of the ..."
+  /\b(?:kill|shoot|bomb|gas) (?:(?:all|every|of|the) )*(?:jews?|muslims?|blacks?|gays?|women|christians?|immigrants?)\b/,
+];
+
+// Character swaps used to dodge filters
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+
+const blocked = new Set(BLOCKED_TERMS);
+const stripped = new Set(STRIPPED_TERMS);
+const patterns = [...BLOCKED_PATTERNS];
+
+for (const term of (import.meta.env?.VITE_MODERATION_BLOCKLIST ?? '').split(',')) {
+  if (term.trim()) blocked.add(fold(term));
+}
+
+// "H1tl3r!!" → "hitler", "n a z i" → "nazi"
+function fold(text) {
+  const words = text
+    .toLowerCase()
+    .replace(/[013457@$!]/g, c => LEET[c])
+    .replace(/[^a-z\s]/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Re-join runs of single letters
+  const joined = [];
+  let run = '';
+  for (const w of words) {
+    if (w.length === 1) {
+      run += w;
+      continue;
+    }
+    if (run) joined.push(run);
+    run = '';
+    joined.push(w);
+  }
+  if (run) joined.push(run);
+  return joined.join(' ');
+}
+
+// Whole-word match, allowing a plural ending; multi-word terms match as phrases
+function matchesTerm(folded, terms) {
+  const words = folded.split(' ');
+  for (const term of terms) {
+    if (term.includes(' ')) {
+      if (` ${folded} `.includes(` ${term} `)) return term;
+    } else if (words.some(w => w === term || w === `${term}s` || w === `${term}es`)) {
+      return term;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} text - Raw search text
+ * @returns {{allowed: boolean, text: string, reason: string|null}}
+ *   `text` has stripped words removed (unchanged when nothing matched);
+ *   `reason` names the rule that refused or sanitized it
+ */
+export function moderatePrompt(text) {
+  const folded = fold(text);
+  const term = matchesTerm(folded, blocked);
+  if (term) return { allowed: false, text: '', reason: `blocked term "${term}"` };
+  const pattern = patterns.find(p => p.test(folded));
+  if (pattern) return { allowed: false, text: '', reason: `blocked pattern ${pattern}` };
+
+  if (!matchesTerm(folded, stripped)) return { allowed: true, text, reason: null };
+
+  const kept = text.split(/\s+/).filter(w => !matchesTerm(fold(w), stripped));
+  const cleaned = kept.join(' ').trim();
+  if (!fold(cleaned)) return { allowed: false, text: '', reason: 'nothing left after removing profanity' };
+  return { allowed: true, text: cleaned, reason: 'profanity removed' };
+}
+
+/** Whether a cache key may be stored / shared: no rule matches at all. */
+export function isAllowedKey(key) {
+  const result = moderatePrompt(key);
+  return result.allowed && result.reason === null;
+}
+
+/**
+ * Extend the rules at runtime.
+ * @param {object} rules
+ * @param {string[]} [rules.blocked]
+ * @param {string[]} [rules.stripped]
+ * @param {RegExp[]} [rules.patterns] - Tested against the folded (lowercase, de-obfuscated) text
+ */
+export function addModerationRules(rules) {
+  for (const term of rules.blocked ?? []) blocked.add(fold(term));
+  for (const term of rules.stripped ?? []) stripped.add(fold(term));
+  patterns.push(...(rules.patterns ?? []));
+}
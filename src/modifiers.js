@@ -0,0 +1,217 @@
+import planck from 'planck';
+
+/**
+ * Prompt modifiers — `3x ball`, `giant tank`, `tiny homing missile`,
+ * `slow-mo rocket`.
+ *
+ * The search text is split into the object noun (what gets normalized,
+ * cached and generated) and modifiers, which the executor applies after
+ * the generated code runs. One cached "tank" then serves every variation.
+ *
+ *   count     — spawn the code N times side by side
+ *   scale     — uniform scale of the spawned bodies, fixtures and joints
+ *               around the spawn point
+ *   timeScale — update() cadence plus velocities, gravity and motor speeds
+ */
+
+export const MAX_SPAWN_COUNT = 5;
+const MIN_SCALE = 0.25;
+const MAX_SCALE = 3;
+
+const SIZE_WORDS = {
+  giant: 2, huge: 2, enormous: 2, big: 1.5, large: 1.5,
+  small: 0.6, mini: 0.5, tiny: 0.4,
+};
+
+// Names that start with a size word; the size word stays part of the noun
+const SIZE_COMPOUNDS = new Set([
+  'big bang', 'big ben', 'big foot', 'big wheel', 'big top', 'big rig', 'big mac',
+  'mini cooper', 'mini gun', 'mini golf', 'mini van', 'mini bus', 'mini fridge',
+  'small arms', 'tiny house', 'giant squid', 'giant panda', 'giant sequoia',
+  'large hadron collider',
+]);
+
+const TIME_WORDS = {
+  'slow-mo': 0.5, 'slowmo': 0.5, 'slow-motion': 0.5, 'turbo': 2, 'hyper': 2,
+};
+
+/**
+ * @typedef {object} SpawnModifiers
+ * @property {number} count - Copies to spawn (1 = just one)
+ * @property {number} scale - Size multiplier (1 = as generated)
+ * @property {number} timeScale - Speed multiplier (1 = real time)
+ */
+
+export const NO_MODIFIERS = Object.freeze({ count: 1, scale: 1, timeScale: 1 });
+
+// Does a size word at words[i] start a known compound ("big bang", "small arms fire")?
+function startsCompound(words, i) {
+  for (let end = words.length; end > i + 1; end--) {
+    if (SIZE_COMPOUNDS.has(words.slice(i, end).join(' '))) return true;
+  }
+  return false;
+}
+
+/**
+ * Split search text into the object noun and its modifiers.
+ * A prompt that is nothing but modifier words ("giant") is kept as a noun.
+ * Size words stay in the noun when they start a known compound ("big bang",
+ * "mini cooper") or the whole phrase is already a known key.
+ * @param {string} text
+ * @param {Iterable<string>} [knownKeys] - Curated / cached keys (see cache.knownKeys)
+ * @returns {{noun: string, modifiers: SpawnModifiers}}
+ */
+export function parseModifiers(text, knownKeys = []) {
+  let rest = text.trim().toLowerCase().replace(/\bslow[\s-]?mo(tion)?\b/g, 'slow-mo');
+  let count = 1;
+
+  // "3x ball", "3 x ball", "3× ball", "ball x3"
+  rest = rest.replace(/^(\d+)\s*[x×]\s+/, (_, n) => { count = Number(n); return ''; });
+  rest = rest.replace(/\s+[x×]\s*(\d+)$/, (_, n) => { count = Number(n); return ''; });
+
+  let timeScale = 1;
+  const words = [];
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    if (TIME_WORDS[word]) timeScale *= TIME_WORDS[word];
+    else words.push(word);
+  }
+
+  const keepWhole = new Set(knownKeys).has(words.join(' '));
+  let scale = 1;
+  const nounWords = [];
+  words.forEach((word, i) => {
+    if (SIZE_WORDS[word] && !keepWhole && !startsCompound(words, i)) scale *= SIZE_WORDS[word];
+    else nounWords.push(word);
+  });
+
+  if (nounWords.length === 0) return { noun: text.trim(), modifiers: { ...NO_MODIFIERS } };
+
+  return {
+    noun: nounWords.join(' '),
+    modifiers: {
+      count: Math.min(MAX_SPAWN_COUNT, Math.max(1, count)),
+      scale: Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale)),
+      timeScale,
+    },
+  };
+}
+
+export function hasModifiers(m) {
+  return !!m && (m.count !== 1 || m.scale !== 1 || m.timeScale !== 1);
+}
+
+/**
+ * Short label for the speech bubble, e.g. "3× · 2× size · slow-mo".
+ */
+export function describeModifiers(m) {
+  if (!hasModifiers(m)) return '';
+  const parts = [];
+  if (m.count !== 1) parts.push(`${m.count}×`);
+  if (m.scale !== 1) parts.push(`${m.scale}× size`);
+  if (m.timeScale < 1) parts.push('slow-mo');
+  else if (m.timeScale > 1) parts.push('turbo');
+  return parts.join(' · ');
+}
+
+// ---------------------------------------------------------------------------
+// Applying modifiers to spawned objects
+// ---------------------------------------------------------------------------
+
+function scaleShape(shape, s) {
+  const type = shape.getType();
+  if (type === 'circle') {
+    shape.m_radius *= s;
+    shape.m_p.mul(s);
+  } else if (type === 'polygon') {
+    for (const v of shape.m_vertices) v.mul(s);
+    shape.m_centroid.mul(s);
+  } else if (type === 'edge') {
+    for (const v of [shape.m_vertex0, shape.m_vertex1, shape.m_vertex2, shape.m_vertex3]) v?.mul(s);
+  } else if (type === 'chain') {
+    for (const v of shape.m_vertices) v.mul(s);
+  }
+}
+
+// Every joint attached to any of the bodies, once
+function jointsOf(bodies) {
+  const joints = new Set();
+  for (const body of bodies) {
+    for (let je = body.getJointList(); je; je = je.next) joints.add(je.joint);
+  }
+  return joints;
+}
+
+/**
+ * Uniformly scale freshly spawned objects around `origin`: body positions,
+ * fixture shapes, joint anchors/lengths and the renderer's radius/hw/hh.
+ * Motors get stronger with the extra mass (~s² mass × s lever arm).
+ * @param {object[]} objects - Registered objects ({ body, radius?, hw?, hh? })
+ * @param {{x: number, y: number}} origin
+ * @param {number} s
+ */
+export function scaleObjects(objects, origin, s) {
+  if (s === 1 || objects.length === 0) return;
+  const bodies = [...new Set(objects.map(o => o.body))];
+
+  // planck keeps the shape object it was given, so one `planck.Circle(1)`
+  // reused for several wheels must only be scaled once
+  const scaledShapes = new Set();
+  for (const body of bodies) {
+    for (let f = body.getFixtureList(); f; f = f.getNext()) {
+      const shape = f.getShape();
+      if (scaledShapes.has(shape)) continue;
+      scaledShapes.add(shape);
+      scaleShape(shape, s);
+    }
+    const p = body.getPosition();
+    body.setTransform(
+      new planck.Vec2(origin.x + (p.x - origin.x) * s, origin.y + (p.y - origin.y) * s),
+      body.getAngle(),
+    );
+    body.resetMassData();
+  }
+
+  for (const joint of jointsOf(bodies)) {
+    joint.getLocalAnchorA?.()?.mul(s);
+    joint.getLocalAnchorB?.()?.mul(s);
+    if (joint.getLength && joint.setLength) joint.setLength(joint.getLength() * s);
+    if (joint.getMaxLength && joint.setMaxLength) joint.setMaxLength(joint.getMaxLength() * s);
+    if (joint.getMaxMotorTorque) joint.setMaxMotorTorque(joint.getMaxMotorTorque() * s * s * s);
+    if (joint.getMaxMotorForce) joint.setMaxMotorForce(joint.getMaxMotorForce() * s * s);
+  }
+
+  for (const obj of objects) {
+    if (obj.radius != null) obj.radius *= s;
+    if (obj.hw != null) obj.hw *= s;
+    if (obj.hh != null) obj.hh *= s;
+  }
+}
+
+/**
+ * Make objects move at `ts`× speed: velocities and motor speeds scale by ts,
+ * gravity by ts² so ballistic arcs keep their shape.
+ * @param {object[]} objects - Registered objects
+ * @param {number} ts
+ */
+export function timeScaleObjects(objects, ts) {
+  if (ts === 1 || objects.length === 0) return;
+  const bodies = [...new Set(objects.map(o => o.body))];
+
+  for (const body of bodies) {
+    body.setLinearVelocity(body.getLinearVelocity().clone().mul(ts));
+    body.setAngularVelocity(body.getAngularVelocity() * ts);
+    body.setGravityScale(body.getGravityScale() * ts * ts);
+  }
+
+  for (const joint of jointsOf(bodies)) {
+    if (joint.getMotorSpeed && joint.setMotorSpeed) joint.setMotorSpeed(joint.getMotorSpeed() * ts);
+  }
+}
+
+/**
+ * Horizontal offset of copy `i` out of `count`, centred on the spawn point.
+ */
+export function copyOffset(i, count, scale = 1) {
+  const spacing = 10 * scale; // meters between copies
+  return (i - (count - 1) / 2) * spacing;
+}
@@ -0,0 +1,131 @@
+/**
+ * Search prompt queue.
+ *
+ * Prompts submitted while others are still generating wait here instead of
+ * being dropped. Up to `maxParallel` prompts generate at once; spawning is
+ * handed out in submission order ("turns") so Gemini presents one creation
+ * at a time. The search bar renders the items as status chips.
+ *
+ * Item lifecycle:
+ *   queued → working → ready → spawning → done | failed | cancelled
+ */
+
+export const MAX_PARALLEL_SEARCHES = 2;
+export const MAX_QUEUED_SEARCHES = 6;
+
+// How long finished chips stay visible under the search bar
+const SETTLED_LINGER_MS = 2500;
+
+const ACTIVE_STATUSES = new Set(['queued', 'working', 'ready', 'spawning']);
+
+/**
+ * @param {Function} run - async (item, signal) => void; does the search. Rejects on failure.
+ *   Calls queue.setStatus(item, 'ready'), awaits item.waitTurn(), then sets 'spawning'.
+ * @param {object} [opts]
+ * @param {number} [opts.maxParallel=MAX_PARALLEL_SEARCHES]
+ * @param {number} [opts.maxQueued=MAX_QUEUED_SEARCHES] - Active items allowed at once
+ * @param {Function} [opts.onChange] - Called after any item is added, updated or removed
+ */
+export function createPromptQueue(run, opts = {}) {
+  const maxParallel = opts.maxParallel ?? MAX_PARALLEL_SEARCHES;
+  const maxQueued = opts.maxQueued ?? MAX_QUEUED_SEARCHES;
+  const onChange = opts.onChange ?? (() => {});
+
+  const items = []; // Submission order, including recently settled items
+  let nextId = 1;
+  let lastTurn = Promise.resolve();
+
+  function activeItems() {
+    return items.filter(i => ACTIVE_STATUSES.has(i.status));
+  }
+
+  /**
+   * Add a prompt.
+   * @returns {object|null} - The queue item, or null if the queue is full
+   */
+  function enqueue(text) {
+    if (activeItems().length >= maxQueued) return null;
+
+    // Turns are chained in submission order; each is released when its item settles
+    const previousTurn = lastTurn;
+    let releaseTurn;
+    lastTurn = new Promise(resolve => { releaseTurn = resolve; });
+
+    const item = {
+      id: nextId++,
+      text,
+      status: 'queued',
+      error: null,
+      controller: new AbortController(),
+      waitTurn: () => previousTurn,
+      releaseTurn,
+    };
+    items.push(item);
+    onChange();
+    pump();
+    return item;
+  }
+
+  // Start queued items while generation slots are free
+  function pump() {
+    let working = items.filter(i => i.status === 'working').length;
+    for (const item of items) {
+      if (working >= maxParallel) break;
+      if (item.status !== 'queued' || item.controller.signal.aborted) continue;
+      working++;
+      start(item);
+    }
+  }
+
+  async function start(item) {
+    setStatus(item, 'working');
+    try {
+      await run(item, item.controller.signal);
+      settle(item, 'done');
+    } catch (e) {
+      settle(item, item.controller.signal.aborted ? 'cancelled' : 'failed', e);
+    }
+  }
+
+  function settle(item, status, error = null) {
+    if (!ACTIVE_STATUSES.has(item.status)) return;
+    item.status = status;
+    item.error = error;
+    item.releaseTurn();
+    onChange();
+    pump();
+
+    setTimeout(() => {
+      const i = items.indexOf(item);
+      if (i !== -1) items.splice(i, 1);
+      onChange();
+    }, SETTLED_LINGER_MS);
+  }
+
+  function setStatus(item, status) {
+    if (!ACTIVE_STATUSES.has(item.status)) return;
+    item.status = status;
+    onChange();
+    if (status !== 'working') pump(); // A generation slot may have opened
+  }
+
+  /** Abort every active item (queued ones settle immediately). */
+  function cancelAll() {
+    const active = activeItems();
+    for (const item of active) item.controller.abort();
+    for (const item of active) {
+      if (item.status === 'queued') settle(item, 'cancelled');
+    }
+  }
+
+  return {
+    enqueue,
+    setStatus,
+    cancelAll,
+    /** Oldest active item — the one allowed to use Gemini's speech bubble */
+    isHead(item) { return activeItems()[0] === item; },
+    hasActive() { return activeItems().length > 0; },
+    activeCount() { return activeItems().length; },
+    getItems() { return items; },
+  };
+}
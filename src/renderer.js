@@ -1,5 +1,6 @@
 import { SCALE, COLORS, DEBUG } from './constants.js';
 import { drawSpeechBubble } from './speechBubble.js';
+import { drawExplosions } from './explosions.js';
 
 /**
  * Creates the renderer that draws the physics scene onto a canvas each frame.
@@ -22,6 +23,9 @@ export function createRenderer(canvas, getObjects, sceneRefs, inputState) {
   // Screen shake provider (set via setShakeProvider)
   let shakeProvider = null;
 
+  // Live blasts from explode() (set via setExplosionProvider)
+  let explosionProvider = null;
+
   // Pseudo-random for consistent noise
   let noiseSeed = 0;
   function seededRandom() {
@@ -196,6 +200,16 @@ export function createRenderer(canvas, getObjects, sceneRefs, inputState) {
         drawRect(ctx, obj);
       }
 
+      // Updater watchdog: generated object running at a reduced rate
+      if (obj.throttled) {
+        drawThrottleIndicator(ctx, obj);
+      }
+
+      // Corrupted by The Crash and turned against the player
+      if (obj.minion) {
+        drawMinionOutline(ctx, obj);
+      }
+
       if (DEBUG) {
         drawDebugHitbox(ctx, obj);
         drawMassLabel(ctx, obj);
@@ -204,6 +218,11 @@ export function createRenderer(canvas, getObjects, sceneRefs, inputState) {
       ctx.restore();
     }
 
+    // Explosions over the objects, under Gemini
+    if (explosionProvider) {
+      drawExplosions(ctx, explosionProvider());
+    }
+
     // Draw Gemini icon last so it's always on top
     if (geminiObj && !geminiObj.hidden) {
       const pos = geminiObj.body.getPosition();
@@ -248,7 +267,11 @@ export function createRenderer(canvas, getObjects, sceneRefs, inputState) {
     shakeProvider = provider;
   }
 
-  return { draw, setShakeProvider };
+  function setExplosionProvider(provider) {
+    explosionProvider = provider;
+  }
+
+  return { draw, setShakeProvider, setExplosionProvider };
 }
 
 // ---------------------------------------------------------------------------
@@ -373,7 +396,7 @@ function drawSearchBar(ctx, obj) {
   ctx.roundRect(x, y, w, h, r);
   ctx.clip();
 
-  if (obj.loading) {
+  if (obj.loading && !obj.text) {
     // --- Loading state: animated "Gemini is cooking..." text ---
     const textX = x + h * 0.6;
     const fontSize = Math.max(10, h * 0.38);
@@ -382,6 +405,12 @@ function drawSearchBar(ctx, obj) {
     const dotCount = (Math.floor(Date.now() / 400) % 3) + 1;
     ctx.fillStyle = '#4285f4';
     ctx.fillText('Gemini is cooking' + '.'.repeat(dotCount), textX, 0);
+
+    ctx.font = `${fontSize * 0.7}px Arial, sans-serif`;
+    ctx.fillStyle = COLORS.searchBarText;
+    ctx.textAlign = 'right';
+    ctx.fillText('Esc to cancel', x + w - r - h * 0.3 - 8, 0);
+    ctx.textAlign = 'left';
   } else {
     // --- Normal state ---
     // Magnifying glass icon (left side)
@@ -437,7 +466,112 @@ function drawSearchBar(ctx, obj) {
     }
   }
 
+  if (obj.loading) {
+    // Stop control (right end) — click or Escape cancels, see searchbar.js
+    const stopX = x + w - r;
+    const stopR = h * 0.3;
+    ctx.beginPath();
+    ctx.arc(stopX, 0, stopR, 0, Math.PI * 2);
+    ctx.fillStyle = '#e8eaed';
+    ctx.fill();
+    const sq = stopR * 0.8;
+    ctx.fillStyle = '#5f6368';
+    ctx.fillRect(stopX - sq / 2, -sq / 2, sq, sq);
+  } else if (obj.vote && !obj.text) {
+    drawVoteControls(ctx, obj.vote, x + w - r, h);
+  }
+
   ctx.restore();
+
+  if (obj.queue.length > 0) {
+    drawPromptChips(ctx, obj.queue, x + r * 0.5, y + h + 6, h * 0.55);
+  }
+}
+
+/**
+ * Up/down arrows rating the last creation (hit areas in searchbar.js).
+ * `downX` is the centre of the right-hand (down) control.
+ */
+function drawVoteControls(ctx, vote, downX, h) {
+  const cr = h * 0.3;
+  const upX = downX - h * 0.8; // VOTE_UP_X is HH * 1.6 left of VOTE_DOWN_X
+  const arrows = [
+    { cx: upX, dir: 1, glyph: '\u25B2', on: '#137333', bg: '#e6f4ea' },
+    { cx: downX, dir: -1, glyph: '\u25BC', on: '#c5221f', bg: '#fce8e6' },
+  ];
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = `${cr}px Arial, sans-serif`;
+  for (const a of arrows) {
+    const chosen = vote.choice === a.dir;
+    ctx.beginPath();
+    ctx.arc(a.cx, 0, cr, 0, Math.PI * 2);
+    ctx.fillStyle = chosen ? a.bg : '#f1f3f4';
+    ctx.fill();
+    ctx.globalAlpha = vote.choice !== 0 && !chosen ? 0.35 : 1;
+    ctx.fillStyle = chosen ? a.on : '#5f6368';
+    ctx.fillText(a.glyph, a.cx, cr * 0.05);
+    ctx.globalAlpha = 1;
+  }
+
+  ctx.textAlign = 'right';
+  ctx.font = `${Math.max(9, h * 0.27)}px Arial, sans-serif`;
+  ctx.fillStyle = COLORS.searchBarText;
+  const label = vote.choice === 0 ? `Rate "${vote.label}"?` : 'Thanks!';
+  ctx.fillText(label, upX - cr - 8, 0);
+  ctx.textAlign = 'left';
+}
+
+// Chip colors per prompt queue status (see promptQueue.js)
+const CHIP_STYLES = {
+  queued:    { bg: '#f1f3f4', fg: '#5f6368', icon: '\u2026' },
+  working:   { bg: '#e8f0fe', fg: '#1967d2', icon: null },
+  ready:     { bg: '#e8f0fe', fg: '#1967d2', icon: '\u2713' },
+  spawning:  { bg: '#e6f4ea', fg: '#137333', icon: '\u2605' },
+  done:      { bg: '#e6f4ea', fg: '#137333', icon: '\u2713' },
+  failed:    { bg: '#fce8e6', fg: '#c5221f', icon: '\u2717' },
+  cancelled: { bg: '#f1f3f4', fg: '#9aa0a6', icon: '\u2717' },
+};
+const CHIP_MAX_CHARS = 18;
+
+/**
+ * Queued prompts as small pills under the search bar, one per item
+ */
+function drawPromptChips(ctx, items, left, top, chipH) {
+  const fontSize = Math.max(9, chipH * 0.5);
+  const pad = chipH * 0.45;
+  ctx.font = `${fontSize}px Arial, sans-serif`;
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+
+  let cx = left;
+  for (const item of items) {
+    const style = CHIP_STYLES[item.status] || CHIP_STYLES.queued;
+    // Working chips get animated dots instead of a fixed icon
+    const icon = style.icon ?? '.'.repeat((Math.floor(Date.now() / 400) % 3) + 1);
+    const text = item.text.length > CHIP_MAX_CHARS ? item.text.slice(0, CHIP_MAX_CHARS - 1) + '\u2026' : item.text;
+    const label = `${icon} ${text}`;
+    const chipW = ctx.measureText(label).width + pad * 2;
+
+    ctx.beginPath();
+    ctx.roundRect(cx, top, chipW, chipH, chipH / 2);
+    ctx.fillStyle = style.bg;
+    ctx.fill();
+    ctx.strokeStyle = style.fg;
+    ctx.globalAlpha = 0.35;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+
+    ctx.fillStyle = style.fg;
+    ctx.fillText(label, cx + pad, top + chipH / 2);
+    if (item.status === 'cancelled') {
+      ctx.fillRect(cx + pad, top + chipH / 2, chipW - pad * 2, 1);
+    }
+
+    cx += chipW + 6;
+  }
 }
 
 function drawRect(ctx, obj) {
@@ -452,6 +586,53 @@ function drawRect(ctx, obj) {
   ctx.strokeRect(-w / 2, -h / 2, w, h);
 }
 
+/**
+ * Pulsing dashed amber outline around objects whose updater is throttled
+ */
+function drawThrottleIndicator(ctx, obj) {
+  const pulse = 0.5 + 0.5 * Math.sin(Date.now() * 0.008);
+  const pad = 3;
+
+  ctx.save();
+  ctx.strokeStyle = `rgba(255, 170, 0, ${0.5 + pulse * 0.5})`;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([4, 3]);
+  ctx.lineDashOffset = -Date.now() * 0.02;
+  ctx.beginPath();
+  if (obj.type === 'circle') {
+    ctx.arc(0, 0, obj.radius * SCALE + pad, 0, Math.PI * 2);
+  } else {
+    const w = obj.hw * 2 * SCALE + pad * 2;
+    const h = obj.hh * 2 * SCALE + pad * 2;
+    ctx.rect(-w / 2, -h / 2, w, h);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Flickering crash-red outline, jumping a pixel or two, around minions
+ */
+function drawMinionOutline(ctx, obj) {
+  const jx = (Math.random() - 0.5) * 3;
+  const jy = (Math.random() - 0.5) * 3;
+
+  ctx.save();
+  ctx.strokeStyle = COLORS.crashEdge;
+  ctx.globalAlpha = 0.6 + Math.random() * 0.4;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  if (obj.type === 'circle') {
+    ctx.arc(jx, jy, obj.radius * SCALE + 2, 0, Math.PI * 2);
+  } else {
+    const w = obj.hw * 2 * SCALE + 4;
+    const h = obj.hh * 2 * SCALE + 4;
+    ctx.rect(jx - w / 2, jy - h / 2, w, h);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
 // ---------------------------------------------------------------------------
 // Google landing page element helpers
 // ---------------------------------------------------------------------------
@@ -712,6 +893,12 @@ function drawGeminiIcon(ctx, obj) {
     ctx.scale(stretchX, stretchY);
   }
 
+  // Corrupted by a Crash projectile: jitter while it can't follow the cursor
+  if (obj.corrupted) {
+    ctx.translate((Math.random() - 0.5) * 4, (Math.random() - 0.5) * 4);
+    ctx.globalAlpha = 0.6 + Math.random() * 0.4;
+  }
+
   // Gemini sparkle: four-pointed star drawn with bezier curves
   const grad = ctx.createLinearGradient(-r, -r, r, r);
 
@@ -755,6 +942,7 @@ function drawGeminiIcon(ctx, obj) {
       theme: 'auto',
       tailDirection: 'down',
       label: obj.speechLabel || null,
+      showEnd: obj.speechShowEnd,
     });
     ctx.restore();
   }
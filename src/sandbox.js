@@ -0,0 +1,265 @@
+import planck from 'planck';
+import { getObjects, registerObject, unregisterObject } from './objects.js';
+
+/**
+ * Main-thread host for the sandbox worker (see sandboxWorker.js).
+ *
+ * Generated code runs inside the worker against its own world mirror.
+ * Every registered worker body gets a proxy body in the real world that is
+ * driven by the worker's state each frame, so the renderer, suction and
+ * eye damage keep working on it. When the main world consumes or culls a
+ * proxy, the worker is told to destroy the original.
+ */
+
+// Watchdog: a worker that doesn't answer in time is assumed stuck in
+// generated code (an endless loop) and is terminated and recreated
+const SPAWN_TIMEOUT_MS = 3000;
+const FRAME_TIMEOUT_MS = 2000;
+
+/**
+ * @param {Function} [onError] - (source, message) => void when a sandboxed
+ *   updater dies with an error or hangs the worker; `source` is the tag passed to execute()
+ * @param {Function} [onExplode] - (x, y, radius, power, source) => void for each
+ *   explode() call; the worker has already pushed its own bodies
+ */
+export function createSandbox(world, W, H, onError = () => {}, onExplode = () => {}) {
+  let worker = null;
+  let nextSpawnId = 1;
+  let latestFrame = null;
+  let stepPending = false;
+  let stepSentAt = 0;
+
+  const proxies = new Map(); // worker objId → registered object
+  const pendingSpawns = new Map(); // spawnId → { resolve, reject, msg, sentAt, timer }
+  const spawnSources = new Map(); // spawnId → cache variant tag (see cache.js), copied onto proxies
+
+  function ensureWorker() {
+    if (worker) return worker;
+    worker = new Worker(new URL('./sandboxWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = onMessage;
+    worker.onerror = (e) => console.error('[Sandbox] Worker error:', e.message);
+    worker.postMessage({ type: 'init', W, H });
+    return worker;
+  }
+
+  // Spawn ids this side handed out — anything else in a message is forged
+  function isIssued(id) {
+    return Number.isInteger(id) && id > 0 && id < nextSpawnId;
+  }
+
+  function onMessage(e) {
+    const msg = e.data;
+    if (!msg || typeof msg !== 'object') return;
+    if (msg.type === 'frame') {
+      if (!stepPending) return; // only the reply to our own step
+      latestFrame = msg;
+      stepPending = false;
+    } else if (msg.type === 'spawned' || msg.type === 'error') {
+      const pending = pendingSpawns.get(msg.id);
+      if (!pending) return;
+      pendingSpawns.delete(msg.id);
+      clearTimeout(pending.timer);
+      if (msg.type === 'error') pending.reject(new Error(String(msg.message)));
+      else pending.resolve(msg.id);
+    } else if (msg.type === 'updaterError') {
+      if (!isIssued(msg.id)) return;
+      const source = spawnSources.get(msg.id);
+      if (source) onError(source, `Updater error: ${String(msg.message)}`);
+    }
+  }
+
+  /**
+   * Terminate a stuck worker and start over. The oldest unanswered message is
+   * what it's stuck on: a spawn is rejected (and reported by the executor);
+   * a step means some running updater hangs, so every object that was running
+   * is reported through onError. Proxies are dropped with the worker's world;
+   * other pending spawns are resent to the new worker.
+   */
+  function restartWorker(reason) {
+    console.warn(`[Sandbox] ${reason} — restarting the worker`);
+    worker?.terminate();
+    worker = null;
+    latestFrame = null;
+
+    let stuckId = null;
+    let stuckAt = stepPending ? stepSentAt : Infinity;
+    for (const [id, pending] of pendingSpawns) {
+      if (pending.sentAt < stuckAt) {
+        stuckId = id;
+        stuckAt = pending.sentAt;
+      }
+    }
+    stepPending = false;
+
+    const message = `Runtime error in generated code: ${reason}`;
+    const running = new Set();
+    for (const objId of [...proxies.keys()]) {
+      const source = proxies.get(objId).body.getUserData()?.cacheSource;
+      if (source) running.add(source);
+      destroyProxy(objId);
+    }
+
+    if (stuckId !== null) {
+      const stuck = pendingSpawns.get(stuckId);
+      pendingSpawns.delete(stuckId);
+      spawnSources.delete(stuckId);
+      clearTimeout(stuck.timer);
+      stuck.reject(new Error(message));
+    } else {
+      for (const source of running) onError(source, message);
+    }
+
+    for (const [id, pending] of pendingSpawns) {
+      clearTimeout(pending.timer);
+      post(id, pending);
+    }
+  }
+
+  // Send a spawn and arm its watchdog
+  function post(id, pending) {
+    pending.sentAt = performance.now();
+    pending.timer = setTimeout(() => {
+      if (pendingSpawns.get(id) === pending) restartWorker(`spawn timed out after ${SPAWN_TIMEOUT_MS}ms`);
+    }, SPAWN_TIMEOUT_MS);
+    ensureWorker().postMessage(pending.msg);
+  }
+
+  /**
+   * Run generated code in the worker. `modifiers` (scale / time scale, see
+   * modifiers.js) are applied inside the worker; count is handled by the executor.
+   * `source` stays on the main thread and tags the proxies as `cacheSource`.
+   * @returns {Promise<number>} - Resolves with the spawn id (for discard()); rejects
+   *   with the same "Syntax error…" / "Runtime error…" messages as the in-page executor
+   */
+  function execute(code, spawnX, spawnY, targetX = null, targetY = null, modifiers = null, source = null) {
+    const id = nextSpawnId++;
+    if (source) spawnSources.set(id, source);
+    return new Promise((resolve, reject) => {
+      const pending = { resolve, reject, msg: { type: 'spawn', id, code, spawnX, spawnY, targetX, targetY, modifiers } };
+      pendingSpawns.set(id, pending);
+      post(id, pending);
+    });
+  }
+
+  function createProxy(desc) {
+    const body = world.createBody({
+      type: 'dynamic',
+      position: new planck.Vec2(-1000, -1000),
+      bullet: desc.bullet,
+    });
+    body.setGravityScale(0);
+    body.setUserData({
+      isSandboxed: true,
+      isEphemeral: desc.ephemeral || undefined,
+      explosive: desc.explosive || undefined,
+      cacheSource: spawnSources.get(desc.spawnId),
+    });
+
+    const fixtureDef = { density: desc.density, friction: 0.3 };
+    if (desc.type === 'circle' && desc.radius > 0) {
+      body.createFixture(new planck.Circle(desc.radius), fixtureDef);
+    } else if (desc.hw > 0 && desc.hh > 0) {
+      body.createFixture(new planck.Box(desc.hw, desc.hh), fixtureDef);
+    }
+
+    const obj = {
+      body,
+      type: desc.type,
+      radius: desc.radius,
+      hw: desc.hw,
+      hh: desc.hh,
+      color: desc.color,
+      spawned: true,
+      ephemeral: desc.ephemeral,
+      sandboxId: desc.id,
+    };
+    registerObject(obj);
+    proxies.set(desc.id, obj);
+    return obj;
+  }
+
+  function destroyProxy(objId) {
+    const obj = proxies.get(objId);
+    if (!obj) return;
+    proxies.delete(objId);
+    unregisterObject(obj);
+    try { world.destroyBody(obj.body); } catch (e) { /* Already destroyed */ }
+  }
+
+  // A proxy is gone once The Crash marks it consumed or it drops out of the
+  // tracked object list (OOB cleanup and processDestroys both unregister)
+  function isGone(obj, tracked) {
+    return !!obj.body.getUserData()?.isConsumed || !tracked.has(obj);
+  }
+
+  /**
+   * Apply the latest worker frame to the proxies and request the next one.
+   * Called once per game-loop tick, before world.step().
+   * @param {{x:number,y:number}|null} target - Current getTarget() value
+   */
+  function sync(target, dt = 1 / 60) {
+    if (!worker) return;
+    if (stepPending && performance.now() - stepSentAt > FRAME_TIMEOUT_MS) {
+      restartWorker(`no frame for ${FRAME_TIMEOUT_MS}ms`);
+      return;
+    }
+
+    const tracked = new Set(getObjects());
+
+    if (latestFrame) {
+      for (const desc of latestFrame.added) {
+        if (isIssued(desc.spawnId)) tracked.add(createProxy(desc));
+      }
+      for (const objId of latestFrame.removed) destroyProxy(objId);
+      for (const { spawnId, x, y, radius, power } of latestFrame.explosions) {
+        if (isIssued(spawnId)) onExplode(x, y, radius, power, spawnSources.get(spawnId) ?? null);
+      }
+      for (const [objId, x, y, angle, vx, vy, av] of latestFrame.states) {
+        const obj = proxies.get(objId);
+        if (!obj || isGone(obj, tracked)) continue;
+        obj.body.setTransform(new planck.Vec2(x, y), angle);
+        obj.body.setLinearVelocity(new planck.Vec2(vx, vy));
+        obj.body.setAngularVelocity(av);
+      }
+      latestFrame = null;
+    }
+
+    // Proxies consumed by The Crash or culled off-screen → destroy in the worker too
+    const gone = [];
+    for (const [objId, obj] of proxies) {
+      if (isGone(obj, tracked)) gone.push(objId);
+    }
+    if (gone.length > 0) {
+      for (const objId of gone) proxies.delete(objId);
+      worker.postMessage({ type: 'destroy', ids: gone });
+    }
+
+    // Never queue more than one step — a slow worker simply runs at a lower rate
+    if (!stepPending) {
+      stepPending = true;
+      stepSentAt = performance.now();
+      worker.postMessage({ type: 'step', dt, target });
+    }
+  }
+
+  /**
+   * Remove everything the given spawns created, updaters included. Their
+   * proxies go with the next frame's `removed` list.
+   * @param {number[]} spawnIds - Ids execute() resolved with
+   */
+  function discard(spawnIds) {
+    if (!worker || spawnIds.length === 0) return;
+    worker.postMessage({ type: 'discard', ids: spawnIds });
+    for (const id of spawnIds) spawnSources.delete(id);
+  }
+
+  function clear() {
+    if (!worker) return;
+    worker.postMessage({ type: 'clear' });
+    for (const objId of [...proxies.keys()]) destroyProxy(objId);
+    spawnSources.clear();
+    latestFrame = null;
+  }
+
+  return { execute, sync, discard, clear };
+}
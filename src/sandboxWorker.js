@@ -0,0 +1,260 @@
+import planck from 'planck';
+import { NO_MODIFIERS, scaleObjects, timeScaleObjects } from './modifiers.js';
+import { applyBlast, normalizeBlast, MAX_EXPLOSIONS_PER_SEC } from './explosions.js';
+
+/**
+ * Sandbox worker — runs untrusted generated code against a private planck
+ * world mirror. The page is never reachable from here: there is no DOM,
+ * no localStorage, and the network APIs below are removed before any
+ * generated code runs.
+ *
+ * Protocol (main → worker):
+ *   { type: 'init', W, H }
+ *   { type: 'spawn', id, code, spawnX, spawnY, targetX, targetY, modifiers }
+ *   { type: 'step', dt, target }      — advance one frame, reply with 'frame'
+ *   { type: 'destroy', ids }          — bodies consumed / culled on the main side
+ *   { type: 'discard', ids }          — remove everything the given spawns created
+ *   { type: 'clear' }
+ *
+ * Protocol (worker → main):
+ *   { type: 'spawned', id } | { type: 'error', id, message }
+ *   { type: 'updaterError', id, message } — an updater from spawn `id` threw and was dropped
+ *   { type: 'frame', added, removed, states, explosions }
+ */
+
+const MAX_EPHEMERAL = 400;
+
+// Strip anything that could reach outside the worker. import() can't be
+// removed: the validator rejects it before code gets here, and the worker's
+// own CSP (scripts/sandboxWorkerCsp.js) blocks network access at runtime
+for (const name of ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'WebAssembly']) {
+  try {
+    Object.defineProperty(self, name, { value: undefined, configurable: false, writable: false });
+  } catch (e) { /* Not defined in this runtime */ }
+}
+
+const send = self.postMessage.bind(self);
+
+let world = null;
+let W = 0;
+let H = 0;
+let target = null;
+let nextObjId = 1;
+
+const objects = new Map(); // objId → { body, ephemeral, spawnId }
+const ephemeral = [];      // ring buffer of objIds created during update()
+const updaters = [];
+let added = [];   // { objId, spawnId, obj, ephemeral } — described when the frame is sent, after modifiers apply
+let removed = [];
+let explosions = []; // { spawnId, x, y, radius, power } — applied here, reported for eye damage + visuals
+
+function createMirrorWorld() {
+  const w = new planck.World({ gravity: new planck.Vec2(0, 40) });
+  const t = 0.5;
+  const wallDefs = [
+    { x: W / 2, y: H + t, hw: W / 2 + t, hh: t },   // bottom
+    { x: W / 2, y: -t, hw: W / 2 + t, hh: t },   // top
+    { x: -t, y: H / 2, hw: t, hh: H / 2 + t },   // left
+    { x: W + t, y: H / 2, hw: t, hh: H / 2 + t },   // right
+  ];
+  for (const wd of wallDefs) {
+    const body = w.createBody({ type: 'static', position: new planck.Vec2(wd.x, wd.y) });
+    body.createFixture(new planck.Box(wd.hw, wd.hh), { friction: 0.6 });
+  }
+  return w;
+}
+
+function destroyObject(objId) {
+  const entry = objects.get(objId);
+  if (!entry) return;
+  objects.delete(objId);
+  try { world.destroyBody(entry.body); } catch (e) { /* Already destroyed */ }
+  removed.push(objId);
+}
+
+function describe({ objId, spawnId, obj, ephemeral }) {
+  const fixture = obj.body.getFixtureList();
+  return {
+    id: objId,
+    spawnId,
+    type: obj.type,
+    radius: obj.radius,
+    hw: obj.hw,
+    hh: obj.hh,
+    color: obj.color,
+    density: fixture ? fixture.getDensity() : 1,
+    bullet: obj.body.isBullet(),
+    explosive: !!obj.body.getUserData()?.explosive,
+    ephemeral,
+  };
+}
+
+function spawn({ id, code, spawnX, spawnY, targetX, targetY, modifiers }) {
+  const mods = modifiers || NO_MODIFIERS;
+  let inUpdate = false;
+  const rootBodies = [];
+  const rootObjects = [];
+  const createdInUpdate = [];
+
+  function registerObject(obj) {
+    if (!obj || !obj.body) return;
+    const objId = nextObjId++;
+    objects.set(objId, { body: obj.body, ephemeral: inUpdate, spawnId: id });
+    added.push({ objId, spawnId: id, obj, ephemeral: inUpdate });
+    if (inUpdate) {
+      createdInUpdate.push(obj);
+      ephemeral.push(objId);
+      if (ephemeral.length > MAX_EPHEMERAL) destroyObject(ephemeral.shift());
+    } else {
+      rootBodies.push(obj.body);
+      rootObjects.push(obj);
+    }
+  }
+
+  function getTarget() {
+    return target;
+  }
+
+  function rootGone() {
+    return rootBodies.some(b => !b.getWorld() || !b.isActive());
+  }
+
+  // Same per-spawn rate limit as the in-page executor
+  let blastWindowStart = performance.now();
+  let blastsThisWindow = 0;
+  function explode(x, y, radius, power) {
+    const now = performance.now();
+    if (now - blastWindowStart >= 1000) {
+      blastWindowStart = now;
+      blastsThisWindow = 0;
+    }
+    if (++blastsThisWindow > MAX_EXPLOSIONS_PER_SEC) return;
+    const blast = normalizeBlast(x, y, radius, power);
+    if (!blast) return;
+    applyBlast(world, blast);
+    explosions.push({ spawnId: id, ...blast });
+  }
+
+  // Shadow the worker globals so generated code sees only the sandbox API.
+  // Strict mode keeps `this` undefined in plain function calls, so
+  // (function(){return this})() can't hand back the real global either.
+  let fn;
+  try {
+    fn = new Function(
+      'planck', 'world', 'registerObject', 'W', 'H', 'spawnX', 'spawnY', 'targetX', 'targetY', 'getTarget', 'explode',
+      'self', 'globalThis', 'postMessage', 'close', 'onmessage', 'importScripts', 'Worker', 'WebAssembly',
+      `'use strict';\n${code}`,
+    );
+  } catch (e) {
+    send({ type: 'error', id, message: `Syntax error in generated code: ${e.message}` });
+    return;
+  }
+
+  let result;
+  try {
+    result = fn(planck, world, registerObject, W, H, spawnX, spawnY, targetX, targetY, getTarget, explode);
+  } catch (e) {
+    // Remove the half-built object so a repaired retry starts clean
+    discardSpawns([id]);
+    send({ type: 'error', id, message: `Runtime error in generated code: ${e.message}` });
+    return;
+  }
+
+  scaleObjects(rootObjects, { x: spawnX, y: spawnY }, mods.scale);
+  timeScaleObjects(rootObjects, mods.timeScale);
+
+  if (result && typeof result.update === 'function') {
+    const origUpdate = result.update;
+    updaters.push({
+      dead: false,
+      spawnId: id,
+      clock: 0,
+      update() {
+        if (rootGone()) {
+          this.dead = true;
+          return;
+        }
+        this.clock += mods.timeScale;
+        const calls = Math.floor(this.clock);
+        this.clock -= calls;
+
+        inUpdate = true;
+        try {
+          for (let i = 0; i < calls; i++) origUpdate();
+        } catch (e) {
+          console.warn('[Sandbox] Updater error, marking dead:', e.message);
+          this.dead = true;
+          // Dying with its object (consumed / culled on the main side) isn't the code's fault
+          if (!rootGone()) send({ type: 'updaterError', id, message: e.message });
+        }
+        inUpdate = false;
+        timeScaleObjects(createdInUpdate, mods.timeScale);
+        createdInUpdate.length = 0;
+      },
+    });
+  }
+
+  send({ type: 'spawned', id });
+}
+
+function step(dt) {
+  for (let i = updaters.length - 1; i >= 0; i--) {
+    if (!updaters[i].dead) updaters[i].update();
+    if (updaters[i].dead) updaters.splice(i, 1);
+  }
+
+  world.step(dt, 8, 3);
+
+  // Flat state rows: [objId, x, y, angle, vx, vy, angularVelocity]
+  const states = [];
+  for (const [objId, { body }] of objects) {
+    const p = body.getPosition();
+    const v = body.getLinearVelocity();
+    states.push([objId, p.x, p.y, body.getAngle(), v.x, v.y, body.getAngularVelocity()]);
+  }
+
+  send({ type: 'frame', added: added.map(describe), removed, states, explosions });
+  added = [];
+  removed = [];
+  explosions = [];
+}
+
+function discardSpawns(spawnIds) {
+  for (const [objId, entry] of [...objects]) {
+    if (spawnIds.includes(entry.spawnId)) destroyObject(objId);
+  }
+  for (const u of updaters) {
+    if (spawnIds.includes(u.spawnId)) u.dead = true;
+  }
+  // Never described to the main side → no proxies to remove
+  added = added.filter(a => objects.has(a.objId));
+}
+
+function clear() {
+  for (const objId of [...objects.keys()]) destroyObject(objId);
+  ephemeral.length = 0;
+  updaters.length = 0;
+  added = [];
+  removed = [];
+  explosions = [];
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    W = msg.W;
+    H = msg.H;
+    world = createMirrorWorld();
+  } else if (msg.type === 'spawn') {
+    spawn(msg);
+  } else if (msg.type === 'step') {
+    target = msg.target;
+    step(msg.dt);
+  } else if (msg.type === 'destroy') {
+    for (const objId of msg.ids) destroyObject(objId);
+  } else if (msg.type === 'discard') {
+    discardSpawns(msg.ids);
+  } else if (msg.type === 'clear') {
+    clear();
+  }
+};
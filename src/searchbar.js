@@ -7,6 +7,17 @@ const HW = 40;
 const HH = 3;
 const MASS = 10;
 
+// Stop control shown while loading — right end of the bar (matches drawSearchBar)
+const STOP_X = HW - HH;
+const STOP_R = HH * 0.6;
+
+// Up/down vote controls for the last creation — same end of the bar, shown when idle
+const VOTE_DOWN_X = STOP_X;
+const VOTE_UP_X = HW - HH * 2.6;
+const VOTE_R = STOP_R;
+const VOTE_WINDOW_MS = 15000; // how long the controls stay after a spawn
+const VOTE_THANKS_MS = 1500;  // chosen arrow stays highlighted this long
+
 // Animated placeholder suggestions
 const PLACEHOLDER_SUGGESTIONS = [
   'build me a tank, please',
@@ -22,8 +33,11 @@ const PLACEHOLDER_SUGGESTIONS = [
  * When the user first drags it, input.js flips it to dynamic so gravity takes over.
  * Keyboard input anywhere on the page is captured and displayed inside the bar.
  * Pressing Enter resets to the default placeholder text.
+ * While loading, Escape or the stop control calls onCancel.
+ * Queued prompts (see promptQueue.js) are drawn as chips under the bar.
+ * After a spawn, showVote() offers up/down arrows that rate the creation.
  */
-export function createSearchBar(world, x, y, onSubmit) {
+export function createSearchBar(world, x, y, onSubmit, onCancel) {
   // Store original position for victory restoration
   const originalX = x;
   const originalY = y;
@@ -53,6 +67,8 @@ export function createSearchBar(world, x, y, onSubmit) {
     text: '',           // live user input; empty = show placeholder
     focused: false,
     loading: false,
+    queue: [],          // prompt queue items, drawn as status chips
+    vote: null,         // { label, choice: 0 | 1 | -1 } while vote controls are shown
     // Animated placeholder state
     animatedPlaceholder: '',
     animatedPlaceholderEnabled: false,
@@ -121,7 +137,42 @@ export function createSearchBar(world, x, y, onSubmit) {
     if (pauseTimeout) clearTimeout(pauseTimeout);
   }
 
-  // --- Click-to-focus ---
+  // --- Vote controls ---
+  let voteCallback = null;
+  let voteTimer = null;
+
+  /**
+   * Offer up/down arrows for VOTE_WINDOW_MS; replaces any earlier offer.
+   * @param {string} label - What is being rated, e.g. the cache key
+   * @param {Function} onVote - Called once with 1 or -1
+   */
+  function showVote(label, onVote) {
+    obj.vote = { label, choice: 0 };
+    voteCallback = onVote;
+    clearTimeout(voteTimer);
+    voteTimer = setTimeout(hideVote, VOTE_WINDOW_MS);
+  }
+
+  function hideVote() {
+    obj.vote = null;
+    voteCallback = null;
+    clearTimeout(voteTimer);
+  }
+
+  function castVote(dir) {
+    obj.vote.choice = dir;
+    voteCallback?.(dir);
+    voteCallback = null;
+    clearTimeout(voteTimer);
+    voteTimer = setTimeout(hideVote, VOTE_THANKS_MS);
+  }
+
+  // Vote arrows are only drawn on an idle, empty bar (see drawSearchBar)
+  function votesVisible() {
+    return !!obj.vote && !obj.loading && !obj.text;
+  }
+
+  // --- Click-to-focus / stop control ---
   window.addEventListener('mousedown', (e) => {
     const wx = e.clientX / SCALE;
     const wy = e.clientY / SCALE;
@@ -129,14 +180,24 @@ export function createSearchBar(world, x, y, onSubmit) {
     obj.focused =
       Math.abs(wx - pos.x) <= HW &&
       Math.abs(wy - pos.y) <= HH;
+
+    if (obj.loading && onCancel) {
+      // Local coords so the control still works once the bar has tumbled
+      const local = body.getLocalPoint(new planck.Vec2(wx, wy));
+      if (Math.hypot(local.x - STOP_X, local.y) <= STOP_R) onCancel();
+    } else if (votesVisible() && obj.vote.choice === 0) {
+      const local = body.getLocalPoint(new planck.Vec2(wx, wy));
+      if (Math.hypot(local.x - VOTE_UP_X, local.y) <= VOTE_R) castVote(1);
+      else if (Math.hypot(local.x - VOTE_DOWN_X, local.y) <= VOTE_R) castVote(-1);
+    }
   });
 
   // --- Keyboard input ---
+  // Typing stays enabled while generating: Enter queues another prompt
   window.addEventListener('keydown', (e) => {
-    // Block input while generating
-    if (obj.loading) return;
-
-    if (e.key === 'Enter') {
+    if (e.key === 'Escape') {
+      if (obj.loading && onCancel) onCancel();
+    } else if (e.key === 'Enter') {
       if (obj.text && onSubmit) {
         onSubmit(obj.text, body);
       }
@@ -163,6 +224,7 @@ export function createSearchBar(world, x, y, onSubmit) {
     obj.text = '';
     obj.loading = false;
     obj.victoryPlaceholder = 'Keep creating things. This is a playground!';
+    hideVote();
 
     // Stop animated placeholder
     stopAnimatedPlaceholder();
@@ -172,6 +234,9 @@ export function createSearchBar(world, x, y, onSubmit) {
     body,
     obj,
     setLoading(v) { obj.loading = v; },
+    setQueue(items) { obj.queue = items; },
+    showVote,
+    hideVote,
     startAnimatedPlaceholder,
     stopAnimatedPlaceholder,
     restoreForVictory,
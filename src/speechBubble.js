@@ -18,6 +18,7 @@
  * @param {boolean} [options.showClickIndicator=false] - Show "Click to continue" hint
  * @param {number} [options.maxLines=12] - Maximum lines to show before truncating
  * @param {string} [options.label] - Optional label shown above the bubble (e.g. "Generated by Gemini")
+ * @param {boolean} [options.showEnd=false] - Truncate code from the top instead of the bottom (live streaming)
  */
 export function drawSpeechBubble(ctx, options) {
   const {
@@ -30,6 +31,7 @@ export function drawSpeechBubble(ctx, options) {
     showClickIndicator = false,
     maxLines = 12,
     label,
+    showEnd = false,
   } = options;
 
   // Auto-detect code
@@ -63,15 +65,28 @@ export function drawSpeechBubble(ctx, options) {
     // If code is minified (single long line), wrap it
     if (codeLines.length === 1 && codeLines[0].length > maxChars + 5) {
       const code = codeLines[0];
-      for (let i = 0; i < code.length && lines.length < codeMaxLines - 1; i += maxChars) {
-        lines.push(code.substring(i, i + maxChars));
-      }
-      if (code.length > maxChars * (codeMaxLines - 1)) {
-        lines.push('...');
+      if (showEnd) {
+        // Keep wrap boundaries fixed from the start so streamed lines don't shift
+        const chunks = Math.ceil(code.length / maxChars);
+        const first = Math.max(0, chunks - (codeMaxLines - 1));
+        if (first > 0) lines.push('...');
+        for (let c = first; c < chunks; c++) {
+          lines.push(code.substring(c * maxChars, (c + 1) * maxChars));
+        }
+      } else {
+        for (let i = 0; i < code.length && lines.length < codeMaxLines - 1; i += maxChars) {
+          lines.push(code.substring(i, i + maxChars));
+        }
+        if (code.length > maxChars * (codeMaxLines - 1)) {
+          lines.push('...');
+        }
       }
     } else {
       // Multi-line code: show each line, truncate if needed
-      for (const line of codeLines) {
+      const shown = showEnd && codeLines.length > codeMaxLines - 1
+        ? ['...', ...codeLines.slice(-(codeMaxLines - 2))]
+        : codeLines;
+      for (const line of shown) {
         if (lines.length >= codeMaxLines - 1) {
           lines.push('...');
           break;
@@ -0,0 +1,83 @@
+// Shared cache storage backend registry.
+// The active backend is picked from `?cache=<name>` in the URL, then
+// VITE_CACHE_BACKEND, then Firebase when VITE_FIREBASE_DB_URL is set, and
+// finally the in-memory backend. Swap it at runtime with setBackend().
+//
+//   firebase — Realtime Database REST API at VITE_FIREBASE_DB_URL
+//   local    — the bundled dev server (`npm run cache-server`), same REST dialect,
+//              at VITE_CACHE_SERVER_URL (default http://127.0.0.1:8787)
+//   memory   — in-page only, lost on reload
+
+import { createRestBackend } from './restBackend.js';
+import { createMemoryBackend } from './memoryBackend.js';
+
+export const LOCAL_SERVER_URL = 'http://127.0.0.1:8787';
+
+/**
+ * Paths are relative to the cache root and '/'-separated, e.g. `tank/variants/abc`.
+ * Reads of missing paths resolve to null; network / server failures reject.
+ * @typedef {object} CacheBackend
+ * @property {string} name
+ * @property {(path: string) => Promise<any>} get
+ * @property {(path: string, value: any) => Promise<void>} put - Replace the value at path
+ * @property {(path: string) => Promise<void>} delete
+ * @property {() => Promise<object>} list - Every top-level key → its raw node
+ * @property {() => Promise<string[]>} keys - Top-level keys only (cheap; no node contents)
+ * @property {(path: string, amount: number) => Promise<void>} increment
+ *   Atomically add to a numeric value (missing counts as 0)
+ */
+
+const factories = {
+  firebase: (config = {}) => createRestBackend({
+    name: 'firebase',
+    url: config.url ?? import.meta.env.VITE_FIREBASE_DB_URL,
+  }),
+  local: (config = {}) => createRestBackend({
+    name: 'local',
+    url: config.url ?? import.meta.env.VITE_CACHE_SERVER_URL ?? LOCAL_SERVER_URL,
+  }),
+  memory: createMemoryBackend,
+};
+
+function defaultBackendName() {
+  const fromUrl = typeof location !== 'undefined'
+    ? new URLSearchParams(location.search).get('cache')
+    : null;
+  if (fromUrl && factories[fromUrl]) return fromUrl;
+  const fromEnv = import.meta.env.VITE_CACHE_BACKEND;
+  if (fromEnv && factories[fromEnv]) return fromEnv;
+  return import.meta.env.VITE_FIREBASE_DB_URL ? 'firebase' : 'memory';
+}
+
+let active = null;
+
+/** @returns {CacheBackend} */
+export function getBackend() {
+  if (!active) {
+    active = factories[defaultBackendName()]();
+    console.log('[Cache] Using backend:', active.name);
+  }
+  return active;
+}
+
+/**
+ * Switch backend at runtime.
+ * @param {string|CacheBackend} backend - A registered name ('firebase', 'local', 'memory') or a backend object
+ * @param {object} [config] - Passed to the factory when a name is given
+ */
+export function setBackend(backend, config) {
+  if (typeof backend === 'string') {
+    if (!factories[backend]) throw new Error(`Unknown cache backend: ${backend}`);
+    active = factories[backend](config);
+  } else {
+    active = backend;
+  }
+  console.log('[Cache] Using backend:', active.name);
+}
+
+/**
+ * Register an extra backend factory under a name (usable via setBackend / ?cache=).
+ */
+export function registerBackend(name, factory) {
+  factories[name] = factory;
+}
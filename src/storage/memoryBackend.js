@@ -0,0 +1,108 @@
+// In-memory cache backend: a plain JSON tree with Realtime Database
+// semantics (null deletes, empty objects vanish). Also the store behind the
+// bundled dev server (scripts/cacheServer.js).
+
+// Keys that would walk into Object.prototype (or a function) instead of the tree
+const UNSAFE_SEGMENTS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/** Whether every segment of `path` is safe to use as a tree key */
+export function isValidPath(path) {
+  return path.split('/').every(seg => !UNSAFE_SEGMENTS.has(seg));
+}
+
+function segments(path) {
+  if (!isValidPath(path)) throw new Error(`Invalid cache path: ${path}`);
+  return path.split('/').filter(Boolean);
+}
+
+const hasOwn = (node, key) => Object.prototype.hasOwnProperty.call(node, key);
+
+function clone(value) {
+  return value === undefined ? null : structuredClone(value);
+}
+
+/**
+ * @param {object} [config]
+ * @param {object} [config.data] - Initial contents (key → node), copied
+ * @param {Function} [config.onChange] - Called after every write with the whole tree
+ * @returns {import('./backend.js').CacheBackend & {snapshot: () => object}}
+ */
+export function createMemoryBackend(config = {}) {
+  let root = clone(config.data ?? {}) ?? {};
+  const onChange = config.onChange ?? (() => {});
+
+  function read(path) {
+    let node = root;
+    for (const seg of segments(path)) {
+      if (node === null || typeof node !== 'object' || !hasOwn(node, seg)) return null;
+      node = node[seg];
+    }
+    return node;
+  }
+
+  function write(path, value) {
+    const parts = segments(path);
+    if (parts.length === 0) {
+      root = value && typeof value === 'object' ? clone(value) : {};
+      onChange(root);
+      return;
+    }
+
+    // Walk down, replacing leaf values in the way with objects (as Firebase does)
+    const parents = [root];
+    let node = root;
+    for (const seg of parts.slice(0, -1)) {
+      if (!hasOwn(node, seg) || node[seg] === null || typeof node[seg] !== 'object') {
+        if (value == null) return; // Deleting under a path that doesn't exist
+        node[seg] = {};
+      }
+      node = node[seg];
+      parents.push(node);
+    }
+
+    const last = parts[parts.length - 1];
+    if (value == null) delete node[last];
+    else node[last] = clone(value);
+
+    // Prune objects left empty by the delete
+    for (let i = parents.length - 1; i > 0; i--) {
+      if (Object.keys(parents[i]).length > 0) break;
+      delete parents[i - 1][parts[i - 1]];
+    }
+    onChange(root);
+  }
+
+  return {
+    name: 'memory',
+
+    async get(path) {
+      return clone(read(path));
+    },
+
+    async put(path, value) {
+      write(path, value);
+    },
+
+    async delete(path) {
+      write(path, null);
+    },
+
+    async list() {
+      return clone(root);
+    },
+
+    async keys() {
+      return Object.keys(root);
+    },
+
+    async increment(path, amount) {
+      const current = read(path);
+      write(path, (typeof current === 'number' ? current : 0) + amount);
+    },
+
+    /** The live tree, for persistence (don't mutate) */
+    snapshot() {
+      return root;
+    },
+  };
+}
@@ -0,0 +1,55 @@
+// Firebase Realtime Database REST backend. The bundled dev server
+// (scripts/cacheServer.js) speaks the same subset, so it serves both.
+
+/**
+ * @param {object} config
+ * @param {string} config.name
+ * @param {string} config.url - Database root; entries live under `${url}/cache`
+ * @returns {import('./backend.js').CacheBackend}
+ */
+export function createRestBackend({ name, url }) {
+  const root = (url || '').replace(/\/+$/, '');
+
+  async function request(path, method = 'GET', value, query = '') {
+    if (!root) throw new Error(`No URL configured for the ${name} cache backend`);
+    const res = await fetch(`${root}/cache${path ? `/${path}` : ''}.json${query}`, {
+      method,
+      body: value === undefined ? undefined : JSON.stringify(value),
+      headers: value === undefined ? undefined : { 'Content-Type': 'application/json' },
+    });
+    if (!res.ok) throw new Error(`${name} cache ${method} ${path || '/'} failed: HTTP ${res.status}`);
+    return res.json();
+  }
+
+  return {
+    name,
+
+    get(path) {
+      return request(path);
+    },
+
+    async put(path, value) {
+      await request(path, 'PUT', value);
+    },
+
+    async delete(path) {
+      await request(path, 'DELETE');
+    },
+
+    async list() {
+      const data = await request('');
+      return data && typeof data === 'object' ? data : {};
+    },
+
+    // Shallow read: child keys map to `true` instead of their contents
+    async keys() {
+      const data = await request('', 'GET', undefined, '?shallow=true');
+      return data && typeof data === 'object' ? Object.keys(data) : [];
+    },
+
+    // Realtime DB increment server value — atomic across players
+    async increment(path, amount) {
+      await request(path, 'PUT', { '.sv': { increment: amount } });
+    },
+  };
+}
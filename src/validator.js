@@ -0,0 +1,585 @@
+import { parse } from 'acorn';
+
+/**
+ * Static validation of generated planck code, run before the executor
+ * hands it to `new Function`. Parses the code into an AST and rejects:
+ *   - references to forbidden globals (window, document, fetch, eval, ...) that
+ *     the code doesn't declare itself, dynamic import(), `this` outside a class
+ *     (the global object in sloppy mode), string code passed to setTimeout /
+ *     setInterval, and the property names that lead back to the Function
+ *     constructor (.constructor, getPrototypeOf, getOwnPropertyDescriptor, ...)
+ *   - loops that can never terminate (while(true), for(;;) without break)
+ *   - more than MAX_SPAWN_BODIES / MAX_SPAWN_JOINTS created at spawn time
+ *     (a creating loop whose iteration count can't be read counts as unbounded)
+ */
+
+export const MAX_SPAWN_BODIES = 40;
+export const MAX_SPAWN_JOINTS = 30;
+
+const FORBIDDEN_GLOBALS = new Set([
+  'window', 'document', 'fetch', 'eval', 'localStorage',
+  'sessionStorage', 'indexedDB', 'XMLHttpRequest', 'WebSocket',
+  'Function', 'globalThis', 'self', 'parent', 'top', 'navigator',
+  'importScripts', 'Worker', 'location', 'Reflect',
+]);
+
+// Property names that hand back prototypes / the Function constructor
+const FORBIDDEN_PROPERTIES = new Set([
+  'constructor', '__proto__', 'getPrototypeOf', 'setPrototypeOf',
+  'getOwnPropertyDescriptor', 'getOwnPropertyDescriptors',
+  '__lookupGetter__', '__lookupSetter__', '__defineGetter__', '__defineSetter__',
+]);
+
+// Timers that eval a string first argument in the page's global scope
+const STRING_EVAL_TIMERS = new Set(['setTimeout', 'setInterval']);
+
+// Assumed iteration count for array callbacks whose array length can't be read statically
+const UNKNOWN_LOOP_COUNT = 10;
+
+const LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement']);
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+/**
+ * Thrown by the executor when validation fails.
+ * `issues` is the list returned by validateCode().
+ */
+export class CodeValidationError extends Error {
+  constructor(issues) {
+    super(`Generated code rejected: ${issues.map(i => i.message).join('; ')}`);
+    this.name = 'CodeValidationError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Validate generated code.
+ * @param {string} code
+ * @param {object} [limits]
+ * @param {number} [limits.maxBodies=MAX_SPAWN_BODIES]
+ * @param {number} [limits.maxJoints=MAX_SPAWN_JOINTS]
+ * @returns {Array<{rule: string, message: string, line?: number}>} - Empty when the code is acceptable
+ */
+export function validateCode(code, limits = {}) {
+  const maxBodies = limits.maxBodies ?? MAX_SPAWN_BODIES;
+  const maxJoints = limits.maxJoints ?? MAX_SPAWN_JOINTS;
+
+  let ast;
+  try {
+    ast = parse(code, { ecmaVersion: 'latest', allowReturnOutsideFunction: true, locations: true });
+  } catch (e) {
+    return [{ rule: 'syntax', message: `Syntax error: ${e.message}`, line: e.loc?.line }];
+  }
+
+  const issues = [];
+  const seenGlobals = new Set();
+  const constants = collectConstants(ast);
+
+  function forbid(name, message, node) {
+    if (seenGlobals.has(name)) return;
+    seenGlobals.add(name);
+    issues.push({ rule: 'forbidden-global', message, line: node.loc.start.line });
+  }
+
+  // --- Forbidden globals (names the code declares itself are locals) ---
+  for (const { node, parent } of findGlobalReferences(ast)) {
+    if (FORBIDDEN_GLOBALS.has(node.name)) {
+      forbid(node.name, `Uses forbidden global "${node.name}"`, node);
+    } else if (STRING_EVAL_TIMERS.has(node.name) && !isFunctionCallbackCall(node, parent, constants)) {
+      forbid(node.name, `Passes code as a string to "${node.name}"`, node);
+    }
+  }
+
+  walk(ast, null, (node) => {
+    // `x.constructor` is the usual route back to the Function constructor
+    if (node.type === 'MemberExpression') {
+      const name = propertyName(node, constants);
+      if (FORBIDDEN_PROPERTIES.has(name)) forbid(`.${name}`, `Accesses ".${name}"`, node);
+    }
+    // import() loads arbitrary code from anywhere
+    if (node.type === 'ImportExpression') forbid('import()', 'Uses forbidden "import()"', node);
+
+    // --- Unbounded loops ---
+    if (isUnboundedLoop(node)) {
+      issues.push({ rule: 'unbounded-loop', message: 'Contains a loop that never terminates', line: node.loc.start.line });
+    }
+  });
+
+  // --- `this` outside a class ---
+  const unbound = findUnboundThis(ast);
+  if (unbound) {
+    issues.push({ rule: 'forbidden-global', message: 'Uses forbidden "this"', line: unbound.loc.start.line });
+  }
+
+  // --- Spawn-time creation budget ---
+  const { bodies, joints } = countSpawnCreations(ast);
+  if (bodies > maxBodies) {
+    issues.push({ rule: 'body-limit', message: `Creates ${formatCount(bodies)} bodies at spawn (max ${maxBodies})` });
+  }
+  if (joints > maxJoints) {
+    issues.push({ rule: 'joint-limit', message: `Creates ${formatCount(joints)} joints at spawn (max ${maxJoints})` });
+  }
+
+  return issues;
+}
+
+/**
+ * Short, speakable summary of validation issues (for Gemini's speech bubble).
+ */
+export function describeIssues(issues) {
+  const first = issues[0];
+  if (!first) return '';
+  if (first.rule === 'forbidden-global') return `My code tried to touch something it shouldn't (${first.message.replace(/^.*?"|"$/g, '')}). Not running that!`;
+  if (first.rule === 'unbounded-loop') return 'My code had an infinite loop in it. Not running that!';
+  if (first.rule === 'body-limit' || first.rule === 'joint-limit') return 'That creation was way too big to spawn!';
+  return 'My code had a mistake in it.';
+}
+
+// ---------------------------------------------------------------------------
+// AST helpers
+// ---------------------------------------------------------------------------
+
+function walk(node, parent, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node, parent);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'start' || key === 'end') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const c of child) walk(c, node, visit);
+    } else if (child && typeof child.type === 'string') {
+      walk(child, node, visit);
+    }
+  }
+}
+
+// Is this identifier a variable reference (not a property key, member name or label)?
+function isReference(node, parent) {
+  if (!parent) return true;
+  if (parent.type === 'MemberExpression' && parent.property === node && !parent.computed) return false;
+  if (parent.type === 'Property' && parent.key === node && !parent.computed && !parent.shorthand) return false;
+  if ((parent.type === 'MethodDefinition' || parent.type === 'PropertyDefinition') && parent.key === node && !parent.computed) return false;
+  if (parent.type === 'LabeledStatement' || parent.type === 'BreakStatement' || parent.type === 'ContinueStatement') return false;
+  if (parent.type === 'MetaProperty') return false;
+  return true;
+}
+
+/**
+ * Static name of a member access: `a.b`, `a["b"]`, `a["con" + "structor"]`,
+ * or `a[k]` with `k` a string constant. null when it can't be read.
+ */
+function propertyName(member, constants = null) {
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  if (member.computed) return stringValue(member.property, constants);
+  return null;
+}
+
+function stringValue(node, constants, depth = 0) {
+  if (!node || depth > 8) return null;
+  if (node.type === 'Literal') return node.value === null ? null : String(node.value);
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const a = stringValue(node.left, constants, depth + 1);
+    const b = stringValue(node.right, constants, depth + 1);
+    return a === null || b === null ? null : a + b;
+  }
+  if (node.type === 'Identifier' && constants?.has(node.name)) return stringValue(constants.get(node.name), constants, depth + 1);
+  return null;
+}
+
+// --- Scopes ---
+
+// Names bound by a declaration pattern (`a`, `{a, b: [c]}`, `...rest`, `a = 1`)
+function patternNames(pattern, out = []) {
+  if (!pattern) return out;
+  if (pattern.type === 'Identifier') out.push(pattern.name);
+  else if (pattern.type === 'ObjectPattern') for (const p of pattern.properties) patternNames(p.type === 'RestElement' ? p : p.value, out);
+  else if (pattern.type === 'ArrayPattern') for (const el of pattern.elements) patternNames(el, out);
+  else if (pattern.type === 'RestElement') patternNames(pattern.argument, out);
+  else if (pattern.type === 'AssignmentPattern') patternNames(pattern.left, out);
+  return out;
+}
+
+// `var` and function declarations hoisted to the enclosing function (not nested ones)
+function hoistedNames(body) {
+  const names = new Set();
+  function visit(node) {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+      for (const d of node.declarations) patternNames(d.id).forEach(n => names.add(n));
+    }
+    if (node.type === 'FunctionDeclaration') {
+      if (node.id) names.add(node.id.name);
+      return;
+    }
+    if (FUNCTION_TYPES.has(node.type) || node.type === 'ClassExpression' || node.type === 'ClassDeclaration') return;
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end') continue;
+      const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+      for (const child of children) visit(child);
+    }
+  }
+  for (const stmt of body) visit(stmt);
+  return names;
+}
+
+// let / const / class / function declared directly in a statement list
+function lexicalNames(statements) {
+  const names = new Set();
+  for (const stmt of statements) {
+    if (stmt.type === 'VariableDeclaration' && stmt.kind !== 'var') {
+      for (const d of stmt.declarations) patternNames(d.id).forEach(n => names.add(n));
+    }
+    if ((stmt.type === 'ClassDeclaration' || stmt.type === 'FunctionDeclaration') && stmt.id) names.add(stmt.id.name);
+  }
+  return names;
+}
+
+// Names a node opens a scope for, or null
+function scopeNames(node, parent) {
+  if (node.type === 'Program') return new Set([...hoistedNames(node.body), ...lexicalNames(node.body)]);
+  if (FUNCTION_TYPES.has(node.type)) {
+    const names = new Set(node.params.flatMap(p => patternNames(p)));
+    if (node.type === 'FunctionExpression' && node.id) names.add(node.id.name);
+    if (node.body.type === 'BlockStatement') {
+      hoistedNames(node.body.body).forEach(n => names.add(n));
+      names.add('arguments');
+    }
+    return names;
+  }
+  if (node.type === 'BlockStatement') return lexicalNames(node.body);
+  if (node.type === 'SwitchStatement') return lexicalNames(node.cases.flatMap(c => c.consequent));
+  if (node.type === 'CatchClause') return new Set(patternNames(node.param));
+  if ((node.type === 'ForStatement' || node.type === 'ForInStatement' || node.type === 'ForOfStatement')) {
+    const decl = node.type === 'ForStatement' ? node.init : node.left;
+    if (decl?.type === 'VariableDeclaration' && decl.kind !== 'var') return new Set(decl.declarations.flatMap(d => patternNames(d.id)));
+  }
+  if (node.type === 'ClassExpression' && node.id) return new Set([node.id.name]);
+  return null;
+}
+
+/**
+ * Identifier references that no enclosing scope in the code declares,
+ * i.e. that resolve to a global. @returns {{node, parent}[]}
+ */
+function findGlobalReferences(ast) {
+  const found = [];
+  function visit(node, parent, scopes) {
+    if (!node || typeof node.type !== 'string') return;
+    const names = scopeNames(node, parent);
+    const inner = names ? [...scopes, names] : scopes;
+    if (node.type === 'Identifier' && isReference(node, parent) && !inner.some(sc => sc.has(node.name))) {
+      found.push({ node, parent });
+    }
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end') continue;
+      const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+      for (const child of children) visit(child, node, inner);
+    }
+  }
+  visit(ast, null, []);
+  return found;
+}
+
+// `setTimeout(function(){...})`, `setTimeout(() => ...)` or `setTimeout(helper)`
+// with `helper` a function the code declares and never reassigns
+function isFunctionCallbackCall(node, parent, constants) {
+  if (parent?.type !== 'CallExpression' || parent.callee !== node) return false;
+  const fn = parent.arguments[0];
+  if (!fn) return true;
+  if (fn.type === 'FunctionExpression' || fn.type === 'ArrowFunctionExpression') return true;
+  if (fn.type !== 'Identifier') return false;
+  const init = constants.get(fn.name);
+  return !!init && FUNCTION_TYPES.has(init.type);
+}
+
+function isConstantTruthy(test) {
+  if (!test) return true; // for(;;)
+  if (test.type === 'Literal') return !!test.value;
+  if (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal') return !test.argument.value;
+  return false;
+}
+
+function formatCount(n) {
+  return Number.isFinite(n) ? `~${n}` : 'an unbounded number of';
+}
+
+/**
+ * Does the loop body contain an exit that leaves this loop: a `return`, an
+ * unlabeled `break` that isn't inside a nested loop/switch, or a `break` to
+ * a label outside the body (the loop's own or an enclosing one)? Nested
+ * functions are skipped entirely.
+ */
+function hasExit(body) {
+  function visit(node, nested, innerLabels) {
+    if (!node || typeof node.type !== 'string') return false;
+    if (FUNCTION_TYPES.has(node.type)) return false;
+    if (node.type === 'ReturnStatement') return true;
+    if (node.type === 'BreakStatement') {
+      return node.label ? !innerLabels.has(node.label.name) : !nested;
+    }
+    const inner = nested || LOOP_TYPES.has(node.type) || node.type === 'SwitchStatement';
+    const labels = node.type === 'LabeledStatement' ? new Set([...innerLabels, node.label.name]) : innerLabels;
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end') continue;
+      const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+      for (const child of children) {
+        if (visit(child, inner, labels)) return true;
+      }
+    }
+    return false;
+  }
+  return visit(body, false, new Set());
+}
+
+function isUnboundedLoop(node) {
+  if (node.type !== 'WhileStatement' && node.type !== 'DoWhileStatement' && node.type !== 'ForStatement') return false;
+  return isConstantTruthy(node.test) && !hasExit(node.body);
+}
+
+/**
+ * First `this` outside a class body. Class code is always strict, so its
+ * `this` can't be the global object; anywhere else a plain call
+ * (`var f=o.m;f()`) hands the function the global object in sloppy mode.
+ */
+function findUnboundThis(ast) {
+  function visit(node, inClass) {
+    if (!node || typeof node.type !== 'string') return null;
+    if (node.type === 'ThisExpression' && !inClass) return node;
+    const strict = inClass || node.type === 'ClassBody';
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end') continue;
+      const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+      for (const child of children) {
+        const found = visit(child, strict);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+  return visit(ast, false);
+}
+
+function isCreateCall(node, name) {
+  return node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    propertyName(node.callee) === name;
+}
+
+const ARRAY_MUTATORS = new Set(['push', 'pop', 'shift', 'unshift', 'splice']);
+
+/**
+ * Values that can be read statically: variables initialised once and never
+ * reassigned (arrays also never pushed to or spliced), plus function
+ * declarations. Used for loop bounds, array lengths, computed property
+ * names and timer callbacks.
+ */
+function collectConstants(ast) {
+  const declared = new Map(); // name → init node
+  const mutated = new Set();
+  walk(ast, null, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      if (declared.has(node.id.name)) mutated.add(node.id.name);
+      declared.set(node.id.name, node.init);
+    }
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      if (declared.has(node.id.name)) mutated.add(node.id.name);
+      declared.set(node.id.name, node);
+    }
+    if (node.type === 'AssignmentExpression' && node.left.type === 'Identifier') mutated.add(node.left.name);
+    if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier') mutated.add(node.argument.name);
+    if (node.type === 'MemberExpression' && node.object.type === 'Identifier' && ARRAY_MUTATORS.has(propertyName(node))) {
+      mutated.add(node.object.name);
+    }
+    if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' &&
+        node.left.object.type === 'Identifier' && propertyName(node.left) === 'length') {
+      mutated.add(node.left.object.name);
+    }
+  });
+
+  const constants = new Map();
+  for (const [name, init] of declared) {
+    if (!mutated.has(name) && init) constants.set(name, init);
+  }
+  return constants;
+}
+
+// Statically known number value of an expression, or null
+function numericValue(node, constants, depth = 0) {
+  if (!node || depth > 8) return null;
+  if (node.type === 'Literal') return typeof node.value === 'number' ? node.value : null;
+  if (node.type === 'UnaryExpression' && (node.operator === '-' || node.operator === '+')) {
+    const v = numericValue(node.argument, constants, depth + 1);
+    return v === null ? null : (node.operator === '-' ? -v : v);
+  }
+  if (node.type === 'Identifier' && constants.has(node.name)) {
+    return numericValue(constants.get(node.name), constants, depth + 1);
+  }
+  if (node.type === 'MemberExpression' && propertyName(node) === 'length') return arrayLength(node.object, constants);
+  if (node.type === 'BinaryExpression' && ['+', '-', '*', '/'].includes(node.operator)) {
+    const a = numericValue(node.left, constants, depth + 1);
+    const b = numericValue(node.right, constants, depth + 1);
+    if (a === null || b === null) return null;
+    const v = node.operator === '+' ? a + b : node.operator === '-' ? a - b : node.operator === '*' ? a * b : a / b;
+    return Number.isFinite(v) ? v : null;
+  }
+  return null;
+}
+
+// Length of an array literal (or a constant bound to one), or null
+function arrayLength(node, constants) {
+  const arr = node.type === 'Identifier' ? constants.get(node.name) : node;
+  return arr?.type === 'ArrayExpression' ? arr.elements.length : null;
+}
+
+// How much a for-loop's update moves `name` each iteration; null if unknown
+function loopStep(update, name, constants) {
+  if (!update) return null;
+  if (update.type === 'UpdateExpression' && update.argument.type === 'Identifier' && update.argument.name === name) {
+    return update.operator === '++' ? 1 : -1;
+  }
+  if (update.type === 'AssignmentExpression' && update.left.type === 'Identifier' && update.left.name === name) {
+    if (update.operator === '+=' || update.operator === '-=') {
+      const k = numericValue(update.right, constants);
+      if (k === null) return null;
+      return update.operator === '+=' ? k : -k;
+    }
+    // i = i + k / i = i - k
+    const r = update.right;
+    if (update.operator === '=' && r.type === 'BinaryExpression' && (r.operator === '+' || r.operator === '-') &&
+        r.left.type === 'Identifier' && r.left.name === name) {
+      const k = numericValue(r.right, constants);
+      if (k === null) return null;
+      return r.operator === '+' ? k : -k;
+    }
+  }
+  return null;
+}
+
+const FLIPPED_COMPARISON = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+/**
+ * Static iteration count of a loop; Infinity when it can't be read
+ * (while loops, non-constant bounds, or an update that moves away from the bound).
+ */
+function loopCount(node, constants) {
+  if (node.type !== 'ForStatement') return Infinity;
+
+  let name = null;
+  let start = null;
+  if (node.init?.type === 'VariableDeclaration' && node.init.declarations[0]?.id.type === 'Identifier') {
+    name = node.init.declarations[0].id.name;
+    start = numericValue(node.init.declarations[0].init, constants);
+  } else if (node.init?.type === 'AssignmentExpression' && node.init.operator === '=' && node.init.left.type === 'Identifier') {
+    name = node.init.left.name;
+    start = numericValue(node.init.right, constants);
+  }
+  const test = node.test;
+  if (name === null || start === null || test?.type !== 'BinaryExpression') return Infinity;
+
+  // Normalise to `i <op> bound`
+  let op = test.operator;
+  let boundNode = test.right;
+  if (test.right.type === 'Identifier' && test.right.name === name) {
+    op = FLIPPED_COMPARISON[op];
+    boundNode = test.left;
+  } else if (test.left.type !== 'Identifier' || test.left.name !== name) {
+    return Infinity;
+  }
+  const bound = numericValue(boundNode, constants);
+  const step = loopStep(node.update, name, constants);
+  if (!op || bound === null || !step) return Infinity;
+
+  const inclusive = op === '<=' || op === '>=';
+  if (op === '<' || op === '<=') {
+    if (start > bound || (start === bound && !inclusive)) return 0;
+    if (step < 0) return Infinity;
+  } else if (op === '>' || op === '>=') {
+    if (start < bound || (start === bound && !inclusive)) return 0;
+    if (step > 0) return Infinity;
+  } else {
+    return Infinity; // ==, !=, ...
+  }
+
+  const span = Math.abs(bound - start) / Math.abs(step);
+  const whole = Number.isInteger(span);
+  return whole ? span + (inclusive ? 1 : 0) : Math.ceil(span);
+}
+
+const ARRAY_ITERATORS = new Set(['forEach', 'map', 'filter', 'some', 'every', 'reduce']);
+
+/**
+ * Estimate bodies/joints created at spawn time — everything except the
+ * returned `update` function, whose allocations are capped at runtime by
+ * the executor's ephemeral ring buffer.
+ *
+ * Named helper functions (`var wheel=function(o){...}`) are counted once
+ * per call site; loops and `[..].forEach(fn)` multiply by their iteration count.
+ */
+function countSpawnCreations(ast) {
+  // Collect helper function bodies by name so call sites can be expanded
+  const helpers = new Map();
+  walk(ast, null, (node) => {
+    if (node.type === 'FunctionDeclaration' && node.id) helpers.set(node.id.name, node);
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+        (node.init?.type === 'FunctionExpression' || node.init?.type === 'ArrowFunctionExpression')) {
+      helpers.set(node.id.name, node.init);
+    }
+  });
+
+  const constants = collectConstants(ast);
+  const expanding = new Set(); // guards against recursive helpers
+
+  function count(node, skipFunctions) {
+    const totals = { bodies: 0, joints: 0 };
+    if (!node || typeof node.type !== 'string') return totals;
+
+    // Helper and update functions are only counted where they're invoked
+    if (skipFunctions && (node.type === 'FunctionDeclaration' ||
+        ((node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') && !node.inlineCallback))) {
+      return totals;
+    }
+
+    if (isCreateCall(node, 'createBody')) totals.bodies++;
+    if (isCreateCall(node, 'createJoint')) totals.joints++;
+
+    // Call to a named helper → expand its body
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && helpers.has(node.callee.name) &&
+        !expanding.has(node.callee.name)) {
+      expanding.add(node.callee.name);
+      const inner = count(helpers.get(node.callee.name).body, true);
+      expanding.delete(node.callee.name);
+      totals.bodies += inner.bodies;
+      totals.joints += inner.joints;
+    }
+
+    // [a,b,c].forEach(function(){...}) → callback runs once per element
+    let callbackTimes = 1;
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        ARRAY_ITERATORS.has(propertyName(node.callee))) {
+      callbackTimes = arrayLength(node.callee.object, constants) ?? UNKNOWN_LOOP_COUNT;
+      for (const arg of node.arguments) {
+        if (arg.type === 'FunctionExpression' || arg.type === 'ArrowFunctionExpression') arg.inlineCallback = true;
+      }
+    }
+
+    const times = (node.type === 'ForStatement' || node.type === 'WhileStatement' || node.type === 'DoWhileStatement')
+      ? loopCount(node, constants)
+      : 1;
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end' || key === 'inlineCallback') continue;
+      const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+      for (const child of children) {
+        if (!child || typeof child.type !== 'string') continue;
+        const sub = count(child, true);
+        const mult = times * (child.inlineCallback ? callbackTimes : 1);
+        // Skip empty subtrees so an unbounded loop (Infinity) with nothing in it doesn't give NaN
+        if (sub.bodies) totals.bodies += sub.bodies * mult;
+        if (sub.joints) totals.joints += sub.joints * mult;
+      }
+    }
+    return totals;
+  }
+
+  return count(ast, true);
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findKeyMatch, singularize, editDistance } from '../src/keyMatch.js';
+
+const KEYS = ['train', 'tank', 'glass', 'cannon ball', 'helicopter', 'missile', 'rocket', 'box'];
+
+test('singularize strips -es after ss/sh/ch/x and keeps -ss / -us', () => {
+  assert.equal(singularize('glasses'), 'glass');
+  assert.equal(singularize('brushes'), 'brush');
+  assert.equal(singularize('torches'), 'torch');
+  assert.equal(singularize('boxes'), 'box');
+  assert.equal(singularize('missiles'), 'missile');
+  assert.equal(singularize('butterflies'), 'butterfly');
+  assert.equal(singularize('glass'), 'glass');
+  assert.equal(singularize('cactus'), 'cactus');
+});
+
+test('adjacent swaps count as one edit', () => {
+  assert.equal(editDistance('trian', 'train'), 1);
+  assert.equal(editDistance('tnak', 'tank'), 1);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+});
+
+test('short keys tolerate one typo from four letters', () => {
+  assert.equal(findKeyMatch('trian', KEYS), 'train');
+  assert.equal(findKeyMatch('tnak', KEYS), 'tank');
+  assert.equal(findKeyMatch('bx', KEYS), null);
+  assert.equal(findKeyMatch('boz', KEYS), null);
+});
+
+test('plurals, spacing and synonyms resolve to the stored key', () => {
+  assert.equal(findKeyMatch('glasses', KEYS), 'glass');
+  assert.equal(findKeyMatch('cannonballs', KEYS), 'cannon ball');
+  assert.equal(findKeyMatch('chopper', KEYS), 'helicopter');
+  assert.equal(findKeyMatch('missles', KEYS), 'missile');
+});
+
+test('the first letter must agree and ties are rejected', () => {
+  assert.equal(findKeyMatch('locket', KEYS), null);
+  assert.equal(findKeyMatch('tain', ['tail', 'tank', 'train']), null);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryBackend, isValidPath } from '../src/storage/memoryBackend.js';
+
+test('reads, writes and deletes nested paths', async () => {
+  const store = createMemoryBackend();
+  await store.put('tank/variants/a', { code: 'x' });
+  await store.put('tank/variants/b', { code: 'y' });
+  assert.deepEqual(await store.get('tank/variants/a'), { code: 'x' });
+  assert.deepEqual(await store.keys(), ['tank']);
+
+  await store.delete('tank/variants/a');
+  assert.equal(await store.get('tank/variants/a'), null);
+  await store.delete('tank/variants/b');
+  assert.deepEqual(await store.list(), {}, 'emptied parents are pruned');
+});
+
+test('missing paths read as null', async () => {
+  const store = createMemoryBackend({ data: { tank: { code: 'x' } } });
+  assert.equal(await store.get('train'), null);
+  assert.equal(await store.get('tank/code/length'), null);
+});
+
+test('increment starts from zero and adds up', async () => {
+  const store = createMemoryBackend();
+  await store.increment('tank/variants/a/spawns', 1);
+  await store.increment('tank/variants/a/spawns', 2);
+  assert.equal(await store.get('tank/variants/a/spawns'), 3);
+});
+
+test('returned values are copies', async () => {
+  const store = createMemoryBackend();
+  await store.put('tank', { code: 'x' });
+  (await store.get('tank')).code = 'changed';
+  assert.deepEqual(await store.get('tank'), { code: 'x' });
+});
+
+test('inherited keys are not part of the tree', async () => {
+  const store = createMemoryBackend({ data: { tank: { code: 'x' } } });
+  assert.equal(await store.get('toString'), null);
+  assert.equal(await store.get('tank/hasOwnProperty'), null);
+  await store.put('toString/code', 'y');
+  assert.deepEqual(await store.get('toString'), { code: 'y' });
+});
+
+test('prototype segments are rejected and never reach Object.prototype', async () => {
+  const store = createMemoryBackend();
+  for (const path of ['__proto__/polluted', 'tank/constructor', 'constructor/prototype/polluted']) {
+    assert.equal(isValidPath(path), false, path);
+    await assert.rejects(store.put(path, true), /Invalid cache path/);
+    await assert.rejects(store.get(path), /Invalid cache path/);
+    await assert.rejects(store.increment(path, 1), /Invalid cache path/);
+  }
+  assert.equal({}.polluted, undefined);
+  assert.equal(isValidPath('tank/variants/a'), true);
+});
+
+test('a "__proto__" key inside a stored value stays plain data', async () => {
+  const store = createMemoryBackend();
+  await store.put('tank', JSON.parse('{"__proto__": {"polluted": true}}'));
+  assert.equal({}.polluted, undefined);
+  assert.deepEqual(Object.keys(await store.get('tank')), ['__proto__']);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { moderatePrompt, isAllowedKey } from '../src/moderation.js';
+
+test('targeting patterns allow any run of qualifiers', () => {
+  for (const prompt of ['kill jews', 'bomb the jews', 'bomb all the jews', 'gas all of the muslims', 'shoot every immigrant']) {
+    assert.equal(moderatePrompt(prompt).allowed, false, prompt);
+  }
+});
+
+test('targeting patterns match after folding leet and spacing', () => {
+  for (const prompt of ['B0MB ALL TH3 J3WS', 'k1ll   every   w0men', 'bomb a l l the jews']) {
+    assert.equal(moderatePrompt(prompt).allowed, false, prompt);
+  }
+});
+
+test('ordinary prompts pass', () => {
+  for (const prompt of ['bomb', 'bomb all the things', 'kill the crash', 'the jet']) {
+    assert.deepEqual(moderatePrompt(prompt), { allowed: true, text: prompt, reason: null });
+  }
+  assert.equal(isAllowedKey('wrecking ball'), true);
+});
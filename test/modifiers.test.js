@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import planck from 'planck';
+import { parseModifiers, scaleObjects, NO_MODIFIERS } from '../src/modifiers.js';
+
+test('size, count and time words become modifiers', () => {
+  assert.deepEqual(parseModifiers('3x giant tank'), { noun: 'tank', modifiers: { count: 3, scale: 2, timeScale: 1 } });
+  assert.deepEqual(parseModifiers('tiny slow-mo rocket'), { noun: 'rocket', modifiers: { count: 1, scale: 0.4, timeScale: 0.5 } });
+});
+
+test('a prompt that is only a modifier word stays the noun', () => {
+  assert.deepEqual(parseModifiers('giant'), { noun: 'giant', modifiers: { ...NO_MODIFIERS } });
+});
+
+test('size words that start a known compound stay in the noun', () => {
+  assert.equal(parseModifiers('big bang').noun, 'big bang');
+  assert.equal(parseModifiers('mini cooper').noun, 'mini cooper');
+  assert.equal(parseModifiers('small arms fire').noun, 'small arms fire');
+  assert.deepEqual(parseModifiers('giant big bang'), { noun: 'big bang', modifiers: { count: 1, scale: 2, timeScale: 1 } });
+});
+
+test('a phrase matching a known key is kept whole', () => {
+  assert.equal(parseModifiers('tiny dancer').noun, 'dancer');
+  assert.deepEqual(parseModifiers('2x tiny dancer', ['tiny dancer']), { noun: 'tiny dancer', modifiers: { count: 2, scale: 1, timeScale: 1 } });
+  assert.equal(parseModifiers('big tank', ['tank']).noun, 'tank');
+});
+
+test('a shape shared by several bodies is scaled once', () => {
+  const world = new planck.World();
+  const shape = planck.Circle(1);
+  const objects = [-2, 0, 2].map((x) => {
+    const body = world.createBody({ type: 'dynamic', position: planck.Vec2(x, 0) });
+    body.createFixture(shape, { density: 1 });
+    return { body, type: 'circle', radius: 1 };
+  });
+  scaleObjects(objects, { x: 0, y: 0 }, 2);
+  for (const obj of objects) {
+    assert.equal(obj.body.getFixtureList().getShape().getRadius(), 2);
+    assert.equal(obj.radius, 2);
+  }
+});
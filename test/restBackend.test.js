@@ -0,0 +1,79 @@
+// Runs the REST backend against the bundled dev server (scripts/cacheServer.js)
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createRestBackend } from '../src/storage/restBackend.js';
+
+let server;
+let dir;
+let url;
+
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'cache-server-'));
+  server = spawn(process.execPath, ['scripts/cacheServer.js'], {
+    env: { ...process.env, CACHE_SERVER_PORT: '0', CACHE_SERVER_FILE: join(dir, 'db.json') },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  url = await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.once('exit', code => reject(new Error(`cache server exited with ${code}`)));
+    server.stdout.on('data', chunk => {
+      const match = String(chunk).match(/http:\/\/[\d.]+:\d+/);
+      if (match) resolve(match[0]);
+    });
+  });
+});
+
+after(() => {
+  server?.kill();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('binds to localhost', () => {
+  assert.match(url, /^http:\/\/127\.0\.0\.1:\d+$/);
+});
+
+test('reads, writes, lists and deletes entries', async () => {
+  const store = createRestBackend({ name: 'local', url: `${url}/` });
+  await store.put('tank/variants/a', { code: 'x' });
+  await store.put('train', { code: 'y' });
+  assert.deepEqual(await store.get('tank/variants/a'), { code: 'x' });
+  assert.equal(await store.get('boat'), null);
+  assert.deepEqual((await store.keys()).sort(), ['tank', 'train']);
+  assert.deepEqual(await store.list(), { tank: { variants: { a: { code: 'x' } } }, train: { code: 'y' } });
+
+  await store.delete('tank');
+  await store.delete('train');
+  assert.deepEqual(await store.keys(), []);
+});
+
+test('increments with the server value', async () => {
+  const store = createRestBackend({ name: 'local', url });
+  await store.increment('_requests/tank', 1);
+  await store.increment('_requests/tank', 2);
+  assert.equal(await store.get('_requests/tank'), 3);
+  await store.delete('_requests');
+});
+
+test('rejects prototype segments with a 400', async () => {
+  const store = createRestBackend({ name: 'local', url });
+  for (const path of ['__proto__/polluted', 'constructor', 'tank/prototype']) {
+    await assert.rejects(store.put(path, true), /HTTP 400/);
+    await assert.rejects(store.get(path), /HTTP 400/);
+  }
+  assert.equal(await store.get('toString'), null);
+});
+
+test('only allows CORS from localhost pages', async () => {
+  const allowed = await fetch(`${url}/cache.json`, { headers: { Origin: 'http://localhost:5173' } });
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+  const foreign = await fetch(`${url}/cache.json`, { headers: { Origin: 'https://example.com' } });
+  assert.equal(foreign.headers.get('access-control-allow-origin'), null);
+});
+
+test('fails without a configured URL', async () => {
+  await assert.rejects(createRestBackend({ name: 'firebase', url: '' }).get('tank'), /No URL configured/);
+});
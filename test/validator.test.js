@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCode } from '../src/validator.js';
+
+const rules = (code) => validateCode(code).map(i => i.rule);
+
+// --- Forbidden globals ---
+test('rejects reaching the global object through a plain function', () => {
+  assert.ok(rules('var g=(function(){return this})();g.fetch("x")').includes('forbidden-global'));
+});
+
+test('rejects top-level this', () => {
+  assert.ok(rules('this.localStorage').includes('forbidden-global'));
+});
+
+test('rejects dynamic import()', () => {
+  assert.ok(rules('import("https://x")').includes('forbidden-global'));
+});
+
+test('rejects Reflect', () => {
+  assert.ok(rules('Reflect.get(world, "x")').includes('forbidden-global'));
+  assert.ok(rules('var r=Reflect;').includes('forbidden-global'));
+});
+
+test('rejects this in object methods, which a plain call binds to the global object', () => {
+  assert.ok(rules('var o={m(){return this}};var f=o.m;f().fetch("x")').includes('forbidden-global'));
+});
+
+test('rejects string code passed to timers', () => {
+  assert.ok(rules('setTimeout("fetch(1)")').includes('forbidden-global'));
+  assert.ok(rules('setInterval("fetch(1)", 10)').includes('forbidden-global'));
+  assert.ok(rules('var s="fetch(1)";setTimeout(s)').includes('forbidden-global'));
+  assert.ok(rules('var t=setTimeout;t("fetch(1)")').includes('forbidden-global'));
+  assert.ok(rules('setTimeout.call(null,"fetch(1)")').includes('forbidden-global'));
+});
+
+test('allows function callbacks for timers', () => {
+  assert.deepEqual(rules('setTimeout(function(){},10);setInterval(()=>{},10)'), []);
+  assert.deepEqual(rules('function load(){}setTimeout(load,1200)'), []);
+  assert.deepEqual(rules('var load=function(){};setTimeout(load,1200)'), []);
+});
+
+test('rejects prototype and descriptor routes to the Function constructor', () => {
+  const escape = 'Object.getOwnPropertyDescriptor(Object.getPrototypeOf(function(){}),"cons"+"tructor").value("return 1")';
+  assert.ok(rules(escape).includes('forbidden-global'));
+  assert.ok(rules('var P=Object.getPrototypeOf(function(){})').includes('forbidden-global'));
+  assert.ok(rules('Object.getOwnPropertyDescriptors({})').includes('forbidden-global'));
+  assert.ok(rules('var f=function(){};f["cons"+"tructor"]("return 1")').includes('forbidden-global'));
+  assert.ok(rules('var k="constructor";(function(){})[k]("return 1")').includes('forbidden-global'));
+  assert.ok(rules('var o={};o.__proto__').includes('forbidden-global'));
+});
+
+test('names the code declares itself are not forbidden globals', () => {
+  assert.deepEqual(rules('var top=spawnY-5,parent=null,location={x:1};top+=location.x'), []);
+  assert.deepEqual(rules('function f(self){return self.x}f({x:1})'), []);
+  assert.deepEqual(rules('for(let top=0;top<3;top++){}'), []);
+  assert.deepEqual(rules('try{}catch(self){self.message}'), []);
+});
+
+test('a declaration in another scope does not hide the global', () => {
+  assert.ok(rules('function f(top){}top.fetch("x")').includes('forbidden-global'));
+  assert.ok(rules('{let self=1}self.fetch("x")').includes('forbidden-global'));
+  assert.ok(rules('top: for(;;){break top}').length === 0);
+});
+
+test('allows this inside classes', () => {
+  assert.deepEqual(rules('class A{constructor(){this.n=1}inc(){[1].forEach(()=>this.n++)}}new A().inc()'), []);
+});
+
+// --- Unbounded loops ---
+test('a break inside a nested loop does not exit the outer loop', () => {
+  assert.ok(rules('while(true){for(;;){break}}').includes('unbounded-loop'));
+});
+
+test('a break inside a nested function does not exit the loop', () => {
+  assert.ok(rules('while(true){[1].forEach(function(){return})}').includes('unbounded-loop'));
+});
+
+test('a break inside a switch does not exit the loop', () => {
+  assert.ok(rules('var k=0;while(true){switch(k){case 0:break}}').includes('unbounded-loop'));
+});
+
+test('accepts loops exited by break, a labeled break, or return', () => {
+  assert.deepEqual(rules('while(true){break}'), []);
+  assert.deepEqual(rules('outer:while(true){for(;;){break outer}}'), []);
+  assert.deepEqual(rules('function f(){for(;;){while(true){return 1}}}f()'), []);
+});
+
+// --- Spawn budget ---
+test('counts bodies in decrementing loops', () => {
+  assert.deepEqual(rules('for(var i=10;i>0;i--){world.createBody({})}'), []);
+  assert.ok(rules('for(var i=50;i>0;i--){world.createBody({})}').includes('body-limit'));
+  assert.ok(rules('for(var i=100;i>=0;i-=2){world.createBody({})}').includes('body-limit'));
+});
+
+test('counts bodies with constant bounds and steps', () => {
+  assert.ok(rules('var n=50;for(var i=0;i<n;i++){world.createBody({})}').includes('body-limit'));
+  assert.deepEqual(rules('var n=50;for(var i=0;i<n;i+=5){world.createBody({})}'), []);
+  assert.ok(rules('var pts=[1,2,3];for(var i=0;i<pts.length;i++){for(var j=0;j<20;j++){world.createBody({})}}').includes('body-limit'));
+});
+
+test('treats a creating loop with an unreadable bound as unbounded', () => {
+  assert.ok(rules('for(var i=0;i<n;i++){world.createBody({})}').includes('body-limit'));
+  assert.ok(rules('for(var i=0;i<10;i--){world.createBody({})}').includes('body-limit'));
+  assert.ok(rules('var k=0;while(k<3){world.createBody({});k++}').includes('body-limit'));
+});
+
+test('loops that create nothing stay within budget', () => {
+  assert.deepEqual(rules('var s=0;for(var i=0;i<n;i++){s+=i}world.createBody({})'), []);
+});
@@ -1,5 +1,9 @@
+import { verifyCuratedPacks } from './scripts/verifyCuratedPacks.js';
+import { sandboxWorkerCsp } from './scripts/sandboxWorkerCsp.js';
+
 export default {
   base: '/interactives/dinoRevenge/',
+  plugins: [verifyCuratedPacks(), sandboxWorkerCsp()],
   build: {
     rollupOptions: {
       input: {